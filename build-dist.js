@@ -13,7 +13,7 @@ if (!existsSync(iconsDir)) {
 }
 
 const icons = [
-  'close.svg', 'photo.svg', 'video.svg', 'pdf.svg',
+  'close.svg', 'photo.svg', 'video.svg', 'audio.svg', 'pdf.svg',
   'external-link.svg', 'copy.svg', 'search.svg',
   'refresh.svg', 'eye.svg', 'link.svg',
   'share.svg', 'accessibility.svg', 'reference.svg', 'info.svg', 'open-in.svg', 'play.svg',
@@ -32,6 +32,12 @@ icons.forEach((icon) => {
 
 // No locales to copy - i18n removed
 
+// The default category patterns are bundled; the copy is a template for custom patterns
+copyFileSync(
+  join('src', 'data', 'category-patterns.json'),
+  join(distDir, 'category-patterns.json'),
+);
+
 const jsFiles = [
   'media-library.iife.js',
 ];
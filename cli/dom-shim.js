@@ -0,0 +1,21 @@
+/**
+ * DOM shim for Node
+ * Provides the DOMParser that ContentParser and the data sources call, backed by the
+ * HTML tokenizer the scan worker uses. XML mime types (sitemaps) are parsed as XML.
+ */
+
+/* global globalThis */
+
+import { parseHtml, parseXml } from '../src/utils/html-tokenizer.js';
+
+class DOMParserShim {
+  parseFromString(text, mimeType = 'text/html') {
+    return /xml/i.test(mimeType) ? parseXml(text) : parseHtml(text);
+  }
+}
+
+export default function installDomShim() {
+  if (typeof globalThis.DOMParser === 'undefined') {
+    globalThis.DOMParser = DOMParserShim;
+  }
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-console */
+
+/**
+ * Headless media scan
+ * Runs the same ContentParser scan as the web component from Node and writes the media
+ * items as JSON or NDJSON, ready for MediaLibrary.loadMediaData().
+ *
+ * Usage: media-library-scan <site-url | sitemap.xml> [options]
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import installDomShim from './dom-shim.js';
+import ContentParser from '../src/utils/parser.js';
+import {
+  getBrokenMediaByPage,
+  getContentDuplicateGroups,
+  getMediaWeightByPage,
+  FILTER_CONFIG,
+} from '../src/utils/filters.js';
+import { formatFileSize } from '../src/utils/utils.js';
+import SitemapSource from '../sources/sitemap.js';
+import WordPressSource from '../sources/wordpress.js';
+
+const USAGE = `Usage: media-library-scan <site-url | sitemap.xml> [options]
+
+Options:
+  -s, --source <type>        sitemap, wordpress or auto (default: auto)
+  -o, --output <file>        Output file (default: stdout)
+  -f, --format <format>      json or ndjson (default: from the output extension, else json)
+  -c, --concurrency <n>      Pages scanned in parallel (default: 5)
+      --cors-proxy <url>     Fetch through this CORS proxy instead of directly
+      --owned-hosts <hosts>  Comma-separated hosts whose robots.txt is not enforced
+      --ignore-robots        Do not honor robots.txt
+      --scan-stylesheets     Also scan same-origin linked stylesheets for backgrounds
+      --check-links          Check every media URL afterwards and record it as linkCheck
+      --hash-content         Hash image files to find identical images under other URLs
+      --measure-sizes        Measure every media file and report the heaviest pages
+      --audit-formats        Record the format each image is served in
+      --audit-metadata       Report images whose metadata leaks GPS, serials or authors
+  -q, --quiet                No progress output
+  -h, --help                 Show this help
+
+Exits with status 1 when any page failed to scan; the media found is still written.
+`;
+
+const OPTIONS = {
+  source: { type: 'string', short: 's', default: 'auto' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  concurrency: { type: 'string', short: 'c', default: '5' },
+  'cors-proxy': { type: 'string' },
+  'owned-hosts': { type: 'string', default: '' },
+  'ignore-robots': { type: 'boolean', default: false },
+  'scan-stylesheets': { type: 'boolean', default: false },
+  'check-links': { type: 'boolean', default: false },
+  'hash-content': { type: 'boolean', default: false },
+  'measure-sizes': { type: 'boolean', default: false },
+  'audit-formats': { type: 'boolean', default: false },
+  'audit-metadata': { type: 'boolean', default: false },
+  quiet: { type: 'boolean', short: 'q', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+function log(options, message) {
+  if (!options.quiet) {
+    console.error(message);
+  }
+}
+
+function getFormat(options) {
+  if (options.format) return options.format;
+  return options.output?.endsWith('.ndjson') ? 'ndjson' : 'json';
+}
+
+/**
+ * Get the pages to scan from a local sitemap file, a WordPress site or the site's sitemaps
+ * @param {string} input - Site URL or path to a sitemap file
+ * @param {Object} options - Parsed command line options
+ * @param {Object} sourceOptions - Options shared by the data sources
+ * @returns {Promise<Array>} Page objects with loc and lastmod
+ */
+async function getPageList(input, options, sourceOptions) {
+  const sitemapSource = new SitemapSource(sourceOptions);
+
+  if (existsSync(input)) {
+    const sitemapDoc = new DOMParser().parseFromString(await readFile(input, 'utf8'), 'text/xml');
+    const pages = await sitemapSource.extractUrls(sitemapDoc);
+    return sitemapSource.filterDisallowedPages(pages);
+  }
+
+  const wordPressSource = new WordPressSource();
+  const source = options.source === 'auto' && wordPressSource.canHandle(input)
+    ? 'wordpress'
+    : options.source;
+
+  if (source === 'wordpress') {
+    // WordPressSource only accepts URLs that look like WordPress, such as the API root
+    const apiUrl = wordPressSource.canHandle(input)
+      ? input
+      : `${input.replace(/\/$/, '')}/wp-json/wp/v2/`;
+    return wordPressSource.getPageList(apiUrl);
+  }
+
+  if (source !== 'sitemap' && source !== 'auto') {
+    throw new Error(`Unknown source "${source}", expected sitemap, wordpress or auto`);
+  }
+
+  return sitemapSource.getPageList(input);
+}
+
+function serialize(mediaItems, format) {
+  if (format === 'ndjson') {
+    return mediaItems.map((item) => JSON.stringify(item)).join('\n').concat('\n');
+  }
+  return `${JSON.stringify(mediaItems, null, 2)}\n`;
+}
+
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (options.help || positionals.length !== 1) {
+    console.error(USAGE);
+    process.exitCode = options.help ? 0 : 1;
+    return;
+  }
+
+  const format = getFormat(options);
+  if (!['json', 'ndjson'].includes(format)) {
+    throw new Error(`Unknown format "${format}", expected json or ndjson`);
+  }
+
+  installDomShim();
+
+  const [input] = positionals;
+  const useCorsProxy = !!options['cors-proxy'];
+  const ownedHosts = options['owned-hosts'].split(',').map((host) => host.trim()).filter(Boolean);
+  const sharedOptions = {
+    corsProxy: options['cors-proxy'],
+    useCorsProxy,
+    ownedHosts,
+    respectRobots: !options['ignore-robots'],
+  };
+
+  const pages = await getPageList(input, options, sharedOptions);
+  if (pages.length === 0) {
+    throw new Error(`No pages found for ${input}`);
+  }
+  log(options, `Scanning ${pages.length} pages from ${input}`);
+
+  const contentParser = new ContentParser({
+    ...sharedOptions,
+    maxConcurrency: parseInt(options.concurrency, 10) || 5,
+    scanLinkedStylesheets: options['scan-stylesheets'],
+  });
+
+  let mediaCount = 0;
+  let mediaItems = await contentParser.scanPages(pages, (completed, total, found) => {
+    mediaCount += found;
+    if (completed % 25 === 0 || completed === total) {
+      log(options, `  ${completed}/${total} pages, ${mediaCount} media`);
+    }
+  });
+
+  const report = contentParser.getScanReport();
+  report.failures.forEach((failure) => {
+    log(options, `  Failed: ${failure.url} (${failure.errorClass}${failure.status ? ` ${failure.status}` : ''})`);
+  });
+
+  if (options['check-links']) {
+    log(options, 'Checking media links');
+    const results = await contentParser.checkMediaLinks(mediaItems);
+    mediaItems = mediaItems.map((item) => (results.has(item.url)
+      ? { ...item, linkCheck: results.get(item.url) }
+      : item));
+
+    const brokenPages = getBrokenMediaByPage(mediaItems);
+    brokenPages.forEach((page) => {
+      page.media.forEach((media) => log(options, `  Broken: ${media.url} (${media.status}) on ${page.doc}`));
+    });
+    log(options, `${brokenPages.length} pages with broken media`);
+  }
+
+  if (options['hash-content']) {
+    log(options, 'Hashing images');
+    const imageHashes = await contentParser.hashMediaContent(mediaItems);
+    mediaItems = mediaItems.map((item) => (imageHashes.get(item.url)
+      ? { ...item, contentHash: imageHashes.get(item.url).contentHash }
+      : item));
+
+    const duplicateGroups = getContentDuplicateGroups(mediaItems);
+    duplicateGroups.forEach((urls) => log(options, `  Identical: ${urls.join(', ')}`));
+    log(options, `${duplicateGroups.size} images with duplicates under other URLs`);
+  }
+
+  if (options['measure-sizes']) {
+    log(options, 'Measuring media');
+    const fileSizes = await contentParser.measureMediaSizes(mediaItems);
+    mediaItems = mediaItems.map((item) => (typeof fileSizes.get(item.url) === 'number'
+      ? { ...item, fileSize: fileSizes.get(item.url) }
+      : item));
+
+    getMediaWeightByPage(mediaItems).slice(0, 10).forEach((page) => {
+      log(options, `  ${formatFileSize(page.totalBytes)} in ${page.mediaCount} media on ${page.doc}`);
+    });
+  }
+
+  if (options['audit-formats']) {
+    log(options, 'Auditing image formats');
+    const formatAudits = await contentParser.auditMediaFormats(mediaItems);
+    mediaItems = mediaItems.map((item) => (formatAudits.get(item.url)
+      ? { ...item, formatAudit: formatAudits.get(item.url) }
+      : item));
+
+    const legacyUrls = new Set(mediaItems
+      .filter(FILTER_CONFIG.legacyFormat)
+      .map((item) => item.url));
+    log(options, `${legacyUrls.size} images served in a legacy format`);
+  }
+
+  if (options['audit-metadata']) {
+    log(options, 'Auditing image metadata');
+    const metadataAudits = await contentParser.auditMediaMetadata(mediaItems);
+    mediaItems = mediaItems.map((item) => (metadataAudits.get(item.url)
+      ? { ...item, metadataAudit: metadataAudits.get(item.url) }
+      : item));
+
+    metadataAudits.forEach((audit, mediaUrl) => {
+      if (audit?.leaks.length > 0) {
+        log(options, `  Leaks ${audit.leaks.map((leak) => leak.field).join(', ')}: ${mediaUrl}`);
+      }
+    });
+  }
+
+  const output = serialize(mediaItems, format);
+  if (options.output) {
+    await writeFile(options.output, output);
+    log(options, `Wrote ${mediaItems.length} media items to ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  log(options, `Done: ${report.succeededPages} pages scanned, ${report.failedPages} failed`);
+  // Lets scheduled jobs notice a site that is down or blocking the scanner
+  if (report.failedPages > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(`media-library-scan: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,5 +1,5 @@
 /* eslint-disable no-console, no-alert, no-restricted-globals */
-import { SitemapSource } from '../../sources/index.js';
+import { SitemapSource, CrawlerSource } from '../../sources/index.js';
 import { createStorage } from '../../src/utils/storage.js';
 
 // MediaLibrary is available globally from the IIFE
@@ -125,7 +125,29 @@ async function performSitemapScan() {
       pageList = await source.getPageList(normalizedWebsiteUrl, normalizedSitemapUrl);
     } else {
       scanBtn.textContent = 'Discovering sitemap...';
-      pageList = await source.getPageList(normalizedWebsiteUrl);
+      try {
+        pageList = await source.getPageList(normalizedWebsiteUrl);
+      } catch (error) {
+        if (!error.message.includes('Unable to find sitemap')) throw error;
+
+        // No sitemap: crawl links from the home page and scan pages as they are found
+        showNotification('No sitemap found - crawling the site instead', 'info');
+        scanBtn.textContent = 'Crawling...';
+        const crawler = new CrawlerSource({ corsProxy: corsProxyUrl });
+        const siteKey = new URL(normalizedWebsiteUrl).hostname;
+        mediaLibrary.storage = 'indexeddb';
+        await mediaLibrary.initialize();
+        mediaLibrary.storageManager = createStorage('indexeddb', siteKey);
+
+        const mediaData = await mediaLibrary.loadFromPageList(
+          crawler.crawl(normalizedWebsiteUrl),
+          null,
+          siteKey,
+          true,
+        );
+        showNotification(`Crawl complete! Found ${mediaData.length} media files.`, 'success');
+        return;
+      }
     }
 
     if (!pageList || pageList.length === 0) {
@@ -216,6 +238,10 @@ function setupControls() {
 
         await mediaLibrary.loadMediaData(mediaData, null, false, metadata);
 
+        // Offers to resume a scan of this site that stopped before it finished
+        mediaLibrary.storageManager = siteStorageManager;
+        await mediaLibrary.checkUnfinishedScan();
+
         showNotification(`Loaded data for site: ${selectedSite}`, 'success');
         // Show Clear Data button when site is selected
         deleteSiteBtn.style.display = 'inline-block';
@@ -0,0 +1,272 @@
+/**
+ * Crawler Data Source
+ * Discovers pages by following same-origin links for sites without a sitemap
+ */
+
+import { extractFileExtension } from '../src/utils/utils.js';
+import {
+  fetchRobotsPolicy,
+  isAllowedByRobots,
+  isOwnedHost,
+  DEFAULT_USER_AGENT,
+} from '../src/utils/robots.js';
+
+const PAGE_EXTENSIONS = ['html', 'htm', 'php', 'asp', 'aspx', 'jsp'];
+
+class CrawlerSource {
+  constructor(options = {}) {
+    this.name = 'Crawler Source';
+    this.description = 'Discovers pages by following same-origin links from a seed URL';
+    this.corsProxy = options.corsProxy || 'https://media-library-cors-proxy.aem-poc-lab.workers.dev/';
+    this.useCorsProxy = options.useCorsProxy !== false;
+    this.maxDepth = options.maxDepth ?? 3;
+    this.maxPages = options.maxPages ?? 500;
+    // Pages fetched while looking for included ones; defaults to four times maxPages
+    this.maxFetches = options.maxFetches ?? null;
+    this.include = options.include || [];
+    this.exclude = options.exclude || [];
+    this.throttleDelay = options.throttleDelay ?? 100;
+    this.respectRobots = options.respectRobots !== false;
+    // Hosts we operate ourselves; robots.txt rules and Crawl-delay are ignored for them
+    this.ownedHosts = options.ownedHosts || [];
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+  }
+
+  /**
+   * Check if the source can handle the given URL
+   * @param {string} url - URL to check
+   * @returns {boolean} True if the URL looks like a website URL
+   */
+  canHandle(url) {
+    if (!url) return false;
+
+    const urlPattern = /^(https?:\/\/)?([\w-]+\.)+[\w-]+(\/.*)?$/i;
+    return urlPattern.test(url);
+  }
+
+  /**
+   * Get page list by crawling the site
+   * @param {string} source - Seed URL to start crawling from
+   * @param {Object} options - Crawl options, see crawl()
+   * @returns {Promise<Array>} Array of page objects
+   */
+  async getPageList(source, options = {}) {
+    const pages = [];
+    // A complete list is scanned later, so it does not hold on to the HTML of every page
+    for await (const { html: _, ...page } of this.crawl(source, options)) {
+      pages.push(page);
+    }
+    return pages;
+  }
+
+  /**
+   * Crawl same-origin links breadth-first, yielding each page as soon as it is discovered.
+   * The result can be passed straight to MediaLibrary.loadFromPageList to scan while crawling.
+   *
+   * Include patterns only decide which pages are yielded; non-matching pages are still
+   * followed so that matching pages deeper in the site can be reached. Excluded pages
+   * are neither yielded nor followed, and neither are pages disallowed by robots.txt.
+   * Requests are spaced by the larger of throttleDelay and the robots.txt Crawl-delay.
+   * Yielded pages carry the downloaded HTML, which ContentParser scans instead of fetching
+   * the page again.
+   * @param {string} source - Seed URL to start crawling from
+   * @param {Object} options - Crawl options
+   * @param {number} options.maxDepth - Maximum link depth from the seed page
+   * @param {number} options.maxPages - Maximum number of pages to yield
+   * @param {number} options.maxFetches - Maximum number of pages to fetch, including those
+   *   that do not match the include patterns (default: four times maxPages)
+   * @param {Array<string|RegExp>} options.include - Path globs (`*`, `**`) or regexes to keep
+   * @param {Array<string|RegExp>} options.exclude - Path globs (`*`, `**`) or regexes to skip
+   * @param {AbortSignal} options.signal - Stops the crawl when aborted
+   * @yields {{loc: string, lastmod: string, depth: number, html: string}} Discovered page
+   */
+  async* crawl(source, options = {}) {
+    if (!source || !this.canHandle(source)) {
+      throw new Error('Invalid seed URL for crawling');
+    }
+
+    const {
+      maxDepth = this.maxDepth,
+      maxPages = this.maxPages,
+      maxFetches = this.maxFetches ?? maxPages * 4,
+      include = this.include,
+      exclude = this.exclude,
+      signal = null,
+    } = options;
+
+    const seedUrl = this.normalizePageUrl(this.normalizeSeedUrl(source));
+    const { origin } = new URL(seedUrl);
+
+    const robotsPolicy = this.respectRobots && !isOwnedHost(seedUrl, this.ownedHosts)
+      ? await fetchRobotsPolicy(origin, {
+        corsProxy: this.useCorsProxy ? this.corsProxy : null,
+        userAgent: this.userAgent,
+      })
+      : null;
+    const isDisallowed = (url) => robotsPolicy !== null && !isAllowedByRobots(robotsPolicy, url);
+    const requestDelay = Math.max(this.throttleDelay, (robotsPolicy?.crawlDelay || 0) * 1000);
+
+    const includePatterns = include.map((pattern) => this.toPathPattern(pattern));
+    const excludePatterns = exclude.map((pattern) => this.toPathPattern(pattern));
+    const matchesAny = (patterns, url) => {
+      const { pathname } = new URL(url);
+      return patterns.some((pattern) => pattern.test(pathname));
+    };
+    const isExcluded = (url) => matchesAny(excludePatterns, url) || isDisallowed(url);
+    const isIncluded = (url) => includePatterns.length === 0 || matchesAny(includePatterns, url);
+
+    const queue = [{ url: seedUrl, depth: 0 }];
+    const visited = new Set([seedUrl]);
+    let pageCount = 0;
+    let fetchCount = 0;
+
+    // Narrow include patterns yield few pages, so fetches are capped separately
+    while (queue.length > 0 && pageCount < maxPages && fetchCount < maxFetches
+      && !signal?.aborted) {
+      const { url, depth } = queue.shift();
+      fetchCount += 1;
+      const page = await this.fetchPage(url, signal);
+      const finalUrl = page ? this.normalizePageUrl(page.finalUrl) : null;
+
+      // Pages that fail to load or redirect off-site are skipped
+      const isCrawlable = finalUrl && new URL(finalUrl).origin === origin && !isExcluded(finalUrl)
+        && (finalUrl === url || !visited.has(finalUrl));
+
+      if (isCrawlable) {
+        visited.add(finalUrl);
+
+        if (isIncluded(finalUrl)) {
+          pageCount += 1;
+          yield {
+            loc: finalUrl,
+            lastmod: page.lastmod,
+            depth,
+            html: page.html,
+          };
+        }
+
+        if (depth < maxDepth) {
+          this.extractLinks(page.html, finalUrl).forEach((link) => {
+            if (new URL(link).origin !== origin || visited.has(link) || isExcluded(link)) return;
+            visited.add(link);
+            queue.push({ url: link, depth: depth + 1 });
+          });
+        }
+      }
+
+      if (requestDelay > 0 && queue.length > 0) {
+        await new Promise((resolve) => {
+          setTimeout(resolve, requestDelay);
+        });
+      }
+    }
+  }
+
+  /**
+   * Fetch a page, going through the CORS proxy unless disabled or local
+   * @param {string} url - Page URL
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<Object|null>} Page HTML, final URL and lastmod,
+   *   or null for failed and non-HTML responses
+   */
+  async fetchPage(url, signal) {
+    const isLocal = url.includes('localhost') || url.includes('127.0.0.1');
+    const fetchUrl = this.useCorsProxy && !isLocal
+      ? `${this.corsProxy}?url=${encodeURIComponent(url)}`
+      : url;
+
+    try {
+      const response = await fetch(fetchUrl, { signal });
+      const contentType = response.headers.get('content-type') || '';
+      if (!response.ok || !contentType.includes('text/html')) {
+        return null;
+      }
+
+      const lastModified = response.headers.get('last-modified');
+      return {
+        html: await response.text(),
+        // The media library proxy reports where redirects ended up
+        finalUrl: response.headers.get('x-final-url') || url,
+        lastmod: lastModified ? new Date(lastModified).toISOString() : new Date().toISOString(),
+      };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Extract followable page links from HTML
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - URL the page was served from
+   * @returns {Array<string>} Normalized absolute link URLs
+   */
+  extractLinks(html, pageUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const baseHref = doc.querySelector('base[href]')?.getAttribute('href');
+    const baseUrl = baseHref ? new URL(baseHref, pageUrl).href : pageUrl;
+    const links = new Set();
+
+    doc.querySelectorAll('a[href]').forEach((anchor) => {
+      const rel = (anchor.getAttribute('rel') || '').toLowerCase();
+      if (rel.split(/\s+/).includes('nofollow') || anchor.hasAttribute('download')) return;
+
+      try {
+        const linkUrl = new URL(anchor.getAttribute('href'), baseUrl);
+        if (linkUrl.protocol !== 'http:' && linkUrl.protocol !== 'https:') return;
+
+        const extension = extractFileExtension(linkUrl.pathname);
+        if (extension && !PAGE_EXTENSIONS.includes(extension)) return;
+
+        links.add(this.normalizePageUrl(linkUrl.href));
+      } catch (error) {
+        // Ignore malformed hrefs
+      }
+    });
+
+    return [...links];
+  }
+
+  /**
+   * Convert an include/exclude pattern to a regex matched against URL paths
+   * @param {string|RegExp} pattern - Path glob where `*` matches one segment and `**` any depth
+   * @returns {RegExp} Path regex
+   */
+  toPathPattern(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+
+    const source = pattern
+      .split('**')
+      .map((part) => part
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*'))
+      .join('.*');
+    return new RegExp(`^${source}$`);
+  }
+
+  normalizeSeedUrl(url) {
+    let normalizedUrl = url.trim();
+
+    if (!normalizedUrl.startsWith('http://') && !normalizedUrl.startsWith('https://')) {
+      normalizedUrl = `https://${normalizedUrl}`;
+    }
+
+    return normalizedUrl;
+  }
+
+  /**
+   * Normalize a page URL so the same page is only visited once
+   * @param {string} url - Absolute page URL
+   * @returns {string} URL without hash and trailing slash
+   */
+  normalizePageUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+  }
+}
+
+export default CrawlerSource;
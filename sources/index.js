@@ -9,6 +9,7 @@ import EDSSource from './eds.js';
 import AEMSource from './aem.js';
 import AdobeDASource from './adobe-da.js';
 import MediaBusAuditSource from './mediabus-audit.js';
+import CrawlerSource from './crawler.js';
 
 /**
  * Data Sources Registry
@@ -51,6 +52,14 @@ export const dataSources = {
     description: 'Loads media data from AEM Media-Bus audit logs via Admin API',
     supportedTypes: ['mediabus', 'audit-log', 'aem-audit'],
   },
+  crawler: {
+    class: CrawlerSource,
+    name: 'Crawler Source',
+    description: 'Discovers pages by following same-origin links from a seed URL',
+    supportedTypes: ['website', 'crawl'],
+    // Handles any website URL, so it is only recommended after the other sources
+    fallback: true,
+  },
 };
 
 /**
@@ -104,7 +113,7 @@ export function detectDataSource(url) {
   for (const [name, config] of Object.entries(dataSources)) {
     const SourceClass = config.class;
     const instance = new SourceClass();
-    if (instance.canHandle && instance.canHandle(url)) {
+    if (!config.fallback && instance.canHandle && instance.canHandle(url)) {
       return name;
     }
   }
@@ -125,7 +134,7 @@ export function getDataSourceRecommendations(url) {
   for (const [name, config] of Object.entries(dataSources)) {
     const SourceClass = config.class;
     const instance = new SourceClass();
-    if (instance.canHandle && instance.canHandle(url)) {
+    if (!config.fallback && instance.canHandle && instance.canHandle(url)) {
       recommendations.push({
         name,
         config,
@@ -145,6 +154,16 @@ export function getDataSourceRecommendations(url) {
     });
   }
 
+  const crawler = new CrawlerSource();
+  if (crawler.canHandle(url)) {
+    recommendations.push({
+      name: 'crawler',
+      config: dataSources.crawler,
+      score: 0.3,
+      reason: 'Fallback option - follows links when no sitemap is available',
+    });
+  }
+
   return recommendations.sort((a, b) => b.score - a.score);
 }
 
@@ -155,6 +174,7 @@ export {
   AEMSource,
   AdobeDASource,
   MediaBusAuditSource,
+  CrawlerSource,
 };
 
 export default dataSources;
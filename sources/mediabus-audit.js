@@ -233,7 +233,7 @@ class MediaBusAuditSource {
           alt: 'null',
           type: this.mapContentTypeToType(contentType),
           doc: path || '/',
-          ctx: sourceType || 'audit-log',
+          context: { type: sourceType || 'audit-log' },
           hash: mediaHash,
           firstUsedAt: new Date(timestamp).getTime(),
           lastUsedAt: new Date(timestamp).getTime(),
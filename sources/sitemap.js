@@ -4,6 +4,14 @@
  */
 
 import { filterChangedUrls } from '../src/utils/utils.js';
+import {
+  parseRobotsTxt,
+  getRobotsRules,
+  isAllowedByRobots,
+  isOwnedHost,
+  fetchRobotsPolicy,
+  DEFAULT_USER_AGENT,
+} from '../src/utils/robots.js';
 
 class SitemapSource {
   constructor(options = {}) {
@@ -21,6 +29,12 @@ class SitemapSource {
     this.contentOrigin = null;
     this.corsProxy = options.corsProxy || 'https://media-library-cors-proxy.aem-poc-lab.workers.dev/';
     this.useCorsProxy = options.useCorsProxy !== false;
+    this.respectRobots = options.respectRobots !== false;
+    // Hosts we operate ourselves; their robots.txt Disallow rules are not applied
+    this.ownedHosts = options.ownedHosts || [];
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    this.robotsPolicies = new Map();
+    this.disallowedPages = [];
   }
 
   /**
@@ -108,12 +122,58 @@ class SitemapSource {
   }
 
   /**
-   * Get page list from sitemap
+   * Get page list from sitemap, without pages disallowed by the site's robots.txt
    * @param {string} source - Source URL (website or sitemap)
    * @param {string} sitemapUrl - Optional specific sitemap URL
    * @returns {Promise<Array>} Array of page objects
    */
   async getPageList(source, sitemapUrl = null) {
+    const pages = await this.discoverPageList(source, sitemapUrl);
+    return this.filterDisallowedPages(pages);
+  }
+
+  /**
+   * Remove pages disallowed by robots.txt; the removed pages are kept in disallowedPages
+   * @param {Array} pages - Page objects from the sitemap
+   * @returns {Promise<Array>} Allowed page objects
+   */
+  async filterDisallowedPages(pages) {
+    this.disallowedPages = [];
+    if (!this.respectRobots) return pages;
+
+    const allowedPages = [];
+    for (const page of pages) {
+      const policy = await this.getRobotsPolicy(page.loc);
+      if (!policy || isAllowedByRobots(policy, page.loc)) {
+        allowedPages.push(page);
+      } else {
+        this.disallowedPages.push(page);
+      }
+    }
+
+    return allowedPages;
+  }
+
+  async getRobotsPolicy(pageUrl) {
+    if (isOwnedHost(pageUrl, this.ownedHosts)) return null;
+
+    let origin;
+    try {
+      origin = new URL(pageUrl).origin;
+    } catch (error) {
+      return null;
+    }
+
+    if (!this.robotsPolicies.has(origin)) {
+      this.robotsPolicies.set(origin, await fetchRobotsPolicy(origin, {
+        corsProxy: this.useCorsProxy ? this.corsProxy : null,
+        userAgent: this.userAgent,
+      }));
+    }
+    return this.robotsPolicies.get(origin);
+  }
+
+  async discoverPageList(source, sitemapUrl = null) {
     // Allow empty source if sitemapUrl is provided
     if (!source && !sitemapUrl) {
       throw new Error('Either source URL or sitemap URL must be provided');
@@ -284,16 +344,16 @@ class SitemapSource {
         return null;
       }
 
-      const robotsText = await response.text();
-      const sitemapMatches = robotsText.match(/^Sitemap:\s*(.+)$/gim);
+      const robots = parseRobotsTxt(await response.text());
 
-      if (sitemapMatches && sitemapMatches.length > 0) {
-        const sitemapUrls = sitemapMatches.map((match) => {
-          const sitemapUrl = match.replace(/^Sitemap:\s*/i, '').trim();
-          return this.normalizeSitemapUrl(sitemapUrl, baseUrl);
-        });
+      // Reuse the rules when filtering the page list
+      this.robotsPolicies.set(new URL(baseUrl).origin, {
+        ...getRobotsRules(robots, this.userAgent),
+        sitemaps: robots.sitemaps,
+      });
 
-        return sitemapUrls;
+      if (robots.sitemaps.length > 0) {
+        return robots.sitemaps.map((sitemapUrl) => this.normalizeSitemapUrl(sitemapUrl, baseUrl));
       }
 
       return null;
@@ -3,7 +3,15 @@ import { html, LitElement } from 'lit';
 import { virtualize } from '@lit-labs/virtualizer/virtualize.js';
 // eslint-disable-next-line import/no-extraneous-dependencies -- virtualizer in deps
 import { grid } from '@lit-labs/virtualizer/layouts/grid.js';
-import { getMediaType, isImage, isVideo, getVideoThumbnail, isExternalVideoUrl } from '../../utils/utils.js';
+import {
+  getMediaType,
+  isImage,
+  isVideo,
+  isAudio,
+  getVideoThumbnail,
+  isExternalVideoUrl,
+  formatFileSize,
+} from '../../utils/utils.js';
 import { getStyles } from '../../utils/get-styles.js';
 import getSvg from '../../utils/get-svg.js';
 import gridStyles from './grid.css?inline';
@@ -29,6 +37,7 @@ class MediaGrid extends LitElement {
     const ICONS = [
       'deps/icons/photo.svg',
       'deps/icons/video.svg',
+      'deps/icons/audio.svg',
       'deps/icons/pdf.svg',
       'deps/icons/external-link.svg',
       'deps/icons/copy.svg',
@@ -89,6 +98,11 @@ class MediaGrid extends LitElement {
             <div class="media-meta">
               <span class="media-label media-used">${usageCount}</span>
               ${subtype ? html`<span class="media-label media-subtype">${subtype}</span>` : ''}
+              ${media.formatAudit?.potentialSavings > 0 ? html`
+                <span class="media-label media-savings" title="Estimated saving as WebP">
+                  -${formatFileSize(media.formatAudit.potentialSavings)}
+                </span>
+              ` : ''}
             </div>
             
             <div class="media-actions">
@@ -136,6 +150,7 @@ class MediaGrid extends LitElement {
     const typeMap = {
       image: 'IMAGE',
       video: 'VIDEO',
+      audio: 'AUDIO',
       document: 'PDF',
       link: 'LINK',
       icon: 'SVG',
@@ -170,7 +185,7 @@ class MediaGrid extends LitElement {
       `;
     }
 
-    if (isVideo(media.url) && media.hasError !== true) {
+    if ((isVideo(media.url) || isExternalVideoUrl(media.url)) && media.hasError !== true) {
       return this.renderVideoPreview(media);
     }
 
@@ -188,6 +203,10 @@ class MediaGrid extends LitElement {
       `;
     }
 
+    if (isAudio(media.url)) {
+      return this.renderAudioPreview(media);
+    }
+
     return html`
       <div class="media-placeholder">
         <svg class="placeholder-icon">
@@ -201,6 +220,7 @@ class MediaGrid extends LitElement {
     const iconMap = {
       image: 'photo',
       video: 'video',
+      audio: 'audio',
       document: 'pdf',
       link: 'external-link',
     };
@@ -288,6 +308,23 @@ class MediaGrid extends LitElement {
     this.requestUpdate();
   }
 
+  renderAudioPreview(media) {
+    return html`
+      <div class="audio-preview-container">
+        <svg class="audio-icon">
+          <use href="#audio"></use>
+        </svg>
+        <audio
+          class="media-audio"
+          src=${media.url}
+          controls
+          preload="none"
+          @click=${(e) => e.stopPropagation()}
+        ></audio>
+      </div>
+    `;
+  }
+
   handleVideoError(e, media) {
     media.hasError = true;
     e.target.style.display = 'none';
@@ -1,13 +1,14 @@
 import { html, LitElement } from 'lit';
 import getSvg from '../../utils/get-svg.js';
 import { getStyles } from '../../utils/get-styles.js';
-import { getVideoThumbnail, isExternalVideoUrl } from '../../utils/utils.js';
+import { formatFileSize, getVideoThumbnail, isExternalVideoUrl } from '../../utils/utils.js';
 import mediaDetailsStyles from './media-details.css?inline';
 
 class MediaDetails extends LitElement {
   static properties = {
     isOpen: { type: Boolean },
     isScanning: { type: Boolean },
+    corsProxy: { type: String },
     modalData: { type: Object },
     _activeTab: { state: true },
     _mimeType: { state: true },
@@ -23,6 +24,7 @@ class MediaDetails extends LitElement {
     super();
     this.isOpen = false;
     this.modalData = null;
+    this.corsProxy = 'https://media-library-cors-proxy.aem-poc-lab.workers.dev/';
     this._activeTab = 'usage';
     this._mimeType = null;
     this._fileSize = null;
@@ -50,6 +52,7 @@ class MediaDetails extends LitElement {
           'deps/icons/close.svg',
           'deps/icons/photo.svg',
           'deps/icons/video.svg',
+          'deps/icons/audio.svg',
           'deps/icons/pdf.svg',
           'deps/icons/external-link.svg',
           'deps/icons/copy.svg',
@@ -148,37 +151,27 @@ class MediaDetails extends LitElement {
   formatContextAsHtml(context) {
     if (!context) return html`<span class="no-context">No context available</span>`;
 
-    const parts = context.split(' > ');
-    const contextItems = [];
-
-    parts.forEach((part) => {
-      if (part.startsWith('In:')) {
-        const containerInfo = part.replace('In:', '').trim();
-        if (containerInfo && containerInfo !== 'undefined' && containerInfo.length > 0) {
-          const simplified = this.simplifyContainerInfo(containerInfo);
-          contextItems.push(html`
-            <div class="context-item">
-              <span class="context-label">Container</span>
-              <span class="context-value">${simplified}</span>
-            </div>
-          `);
-        }
-      } else if (part.startsWith('text:')) {
-        const textInfo = part.replace('text:', '').trim();
-        if (textInfo && textInfo !== 'undefined' && textInfo.length > 0) {
-          const cleanedText = this.cleanTextContent(textInfo);
-          if (cleanedText) {
-            const truncated = this.truncateText(cleanedText, 200);
-            contextItems.push(html`
-              <div class="context-item">
-                <span class="context-label">Text</span>
-                <span class="context-value">${truncated}</span>
-              </div>
-            `);
-          }
-        }
-      }
-    });
+    const fields = [
+      ['Block', context.block],
+      ['Section', context.section],
+      ['Container', context.container && this.simplifyContainerInfo(context.container)],
+      ['Heading', context.heading],
+      ['Caption', context.figcaption],
+      ['Link', context.linkHref],
+      ['Text', this.truncateText(this.cleanTextContent(context.nearbyText || context.paragraph), 200)],
+      ['Meta', context.metaSource],
+      ['Selector', context.selector],
+      ['Loading', context.perf?.join(', ')],
+    ];
+
+    const contextItems = fields
+      .filter(([, value]) => value)
+      .map(([label, value]) => html`
+        <div class="context-item">
+          <span class="context-label">${label}</span>
+          <span class="context-value">${value}</span>
+        </div>
+      `);
 
     if (contextItems.length === 0) {
       return html`<span class="no-context">No context available</span>`;
@@ -356,6 +349,7 @@ class MediaDetails extends LitElement {
                   <div class="usage-row">
                     <div class="usage-alt">
                       ${this.getAltTextDisplay(usage.alt, usage.type)}
+                      ${this.renderAltIssues(usage.altIssues)}
                     </div>
                     <div class="usage-actions">
                       <button 
@@ -372,12 +366,155 @@ class MediaDetails extends LitElement {
                 `)}
               </div>
             ` : ''}
+            <h5 class="usage-title">Context</h5>
+            <div class="usage-container">
+              ${usages.map((usage) => html`
+                <div class="usage-row">${this.formatContextAsHtml(usage.context)}</div>
+              `)}
+            </div>
+            ${this.renderSizeAnalysis(usages)}
+            ${this.renderRenditions(usages)}
+          </div>
+        `)}
+        ${this.renderDuplicates()}
+      </div>
+    `;
+  }
+
+  renderAltIssues(altIssues) {
+    if (!altIssues?.length) return '';
+
+    return html`
+      <ul class="alt-issues">
+        ${altIssues.map((issue) => html`
+          <li class="alt-issue ${issue.severity}">
+            <span class="alt-issue-severity">${issue.severity}</span>
+            ${issue.message}
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  renderDuplicates() {
+    const duplicates = this.modalData.data.duplicates || [];
+    if (duplicates.length === 0) return '';
+
+    return html`
+      <div class="usage-section">
+        <h5 class="usage-title">Duplicates</h5>
+        <div class="usage-container">
+          ${duplicates.map((duplicate) => html`
+            <div class="usage-row duplicate-row">
+              <div class="rendition-info">
+                <span class="rendition-url" title=${duplicate.url}>${duplicate.url}</span>
+                ${duplicate.docs.length > 0 ? duplicate.docs.map((doc) => html`
+                  <span class="duplicate-page" title=${doc}>${doc}</span>
+                `) : html`<span class="duplicate-page">Not used</span>`}
+              </div>
+              <div class="usage-actions">
+                <button
+                  class="action-button"
+                  @click=${() => this.handleViewMedia(duplicate.url)}
+                  title="Open duplicate in new tab"
+                >
+                  <svg class="action-icon" width="16" height="16" viewBox="0 0 20 20">
+                    <use href="#open-in"></use>
+                  </svg>
+                </button>
+              </div>
+            </div>
+          `)}
+        </div>
+      </div>
+    `;
+  }
+
+  renderSizeAnalysis(usages) {
+    if (!usages.some((usage) => usage.sizeAnalysis)) return '';
+
+    const sources = {
+      width: 'width attribute',
+      sizes: 'sizes hint',
+      srcset: 'srcset candidate',
+      natural: 'natural size',
+    };
+
+    return html`
+      <h5 class="usage-title">Rendered Size</h5>
+      <div class="usage-container">
+        ${usages.map(({ sizeAnalysis: analysis }) => html`
+          <div class="usage-row">
+            ${analysis ? html`
+              <span class="size-widths">
+                ${analysis.intrinsicWidth}px ${sources[analysis.intrinsicFrom]} in a
+                ${analysis.renderedWidth}px slot (${sources[analysis.renderedFrom]})
+              </span>
+              <span class="size-ratio ${analysis.status}">
+                ${analysis.ratio}x${analysis.status !== 'ok' ? ` ${analysis.status}` : ''}
+              </span>
+            ` : html`<span class="size-widths">Rendered width unknown</span>`}
+          </div>
+        `)}
+      </div>
+    `;
+  }
+
+  renderRenditions(usages) {
+    const renditions = [];
+    const seen = new Set();
+
+    usages.forEach((usage) => {
+      (usage.renditions || []).forEach((rendition) => {
+        const key = `${rendition.url}|${rendition.descriptor || ''}|${rendition.media || ''}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          renditions.push(rendition);
+        }
+      });
+    });
+
+    if (renditions.length === 0) return '';
+
+    return html`
+      <h5 class="usage-title">Renditions</h5>
+      <div class="usage-container">
+        ${renditions.map((rendition) => html`
+          <div class="usage-row rendition-row">
+            <div class="rendition-info">
+              <span class="rendition-url" title=${rendition.url}>${this.getRenditionFilename(rendition.url)}</span>
+              <span class="rendition-meta">
+                ${rendition.descriptor ? html`<span class="rendition-tag">${rendition.descriptor}</span>` : ''}
+                ${rendition.type ? html`<span class="rendition-tag">${rendition.type}</span>` : ''}
+                ${rendition.media ? html`<span class="rendition-media">${rendition.media}</span>` : ''}
+              </span>
+            </div>
+            <div class="usage-actions">
+              <button 
+                class="action-button" 
+                @click=${() => this.handleViewMedia(rendition.url)} 
+                title="Open rendition in new tab"
+              >
+                <svg class="action-icon" width="16" height="16" viewBox="0 0 20 20">
+                  <use href="#open-in"></use>
+                </svg>
+              </button>
+            </div>
           </div>
         `)}
       </div>
     `;
   }
 
+  getRenditionFilename(renditionUrl) {
+    try {
+      const url = new URL(renditionUrl);
+      return `${url.pathname.split('/').pop()}${url.search}`;
+    } catch {
+      return renditionUrl;
+    }
+  }
+
   renderMetadataTab() {
     return html`
       <div class="metadata-section">
@@ -406,7 +543,14 @@ class MediaDetails extends LitElement {
                 <td class="metadata-label">Path</td>
                 <td class="metadata-value">${this._mediaPath || 'Loading...'}</td>
               </tr>
+              <tr class="metadata-row">
+                <td class="metadata-label">Link Status</td>
+                <td class="metadata-value">${this.getLinkStatus(this.modalData?.data?.media)}</td>
+              </tr>
+              ${this.renderFormatAudit(this.modalData?.data?.media)}
+              ${this.renderPerceptualHash(this.modalData?.data?.media)}
               
+              ${this.renderMetadataLeaks(this.modalData?.data?.media)}
               ${this.renderExifSection()}
             </tbody>
           </table>
@@ -415,6 +559,64 @@ class MediaDetails extends LitElement {
     `;
   }
 
+  renderFormatAudit(media) {
+    const audit = media?.formatAudit;
+    if (!audit) return '';
+
+    let savings = 'None';
+    if (audit.potentialSavings > 0) {
+      const percent = Math.round((audit.potentialSavings / audit.fileSize) * 100);
+      savings = `${formatFileSize(audit.potentialSavings)} (${percent}%) as WebP`;
+    } else if (audit.webpSize === null) {
+      savings = 'Not estimated';
+    }
+
+    return html`
+      <tr class="metadata-row">
+        <td class="metadata-label">Served Format</td>
+        <td class="metadata-value">${audit.contentType || audit.format || 'Unknown'}</td>
+      </tr>
+      <tr class="metadata-row">
+        <td class="metadata-label">Potential Savings</td>
+        <td class="metadata-value">${savings}</td>
+      </tr>
+    `;
+  }
+
+  renderPerceptualHash(media) {
+    if (!media?.perceptualHash) return '';
+
+    return html`
+      <tr class="metadata-row">
+        <td class="metadata-label">Perceptual Hash</td>
+        <td class="metadata-value">
+          <code>${media.perceptualHash}</code>
+          <button class="find-similar-button" @click=${this.handleFindSimilar}>Find similar</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  handleFindSimilar() {
+    const { media } = this.modalData.data;
+    this.handleCloseModal();
+    this.dispatchEvent(new CustomEvent('findSimilar', {
+      detail: { media },
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  getLinkStatus(media) {
+    const linkCheck = media?.linkCheck;
+    if (!linkCheck) return 'Not checked';
+
+    const result = linkCheck.status
+      ? `${linkCheck.status}${linkCheck.ok ? ' OK' : ''}`
+      : `Unreachable (${linkCheck.errorClass})`;
+    return `${result}, checked ${new Date(linkCheck.checkedAt).toLocaleString()}`;
+  }
+
   renderAnalysisMetadata(media) {
     const hasAnalysisData = media.orientation || media.width || media.height
       || media.exifCamera || media.exifDate;
@@ -499,33 +701,10 @@ class MediaDetails extends LitElement {
       };
       this._mimeType = mimeTypes[ext] || 'Unknown';
 
-      // Try to get file size using CORS proxy
-      try {
-        const corsProxyUrl = `https://media-library-cors-proxy.aem-poc-lab.workers.dev/?url=${encodeURIComponent(media.url)}`;
-
-        // Try HEAD request first
-        let response = await fetch(corsProxyUrl, { method: 'HEAD' });
-
-        if (response.ok) {
-          const size = response.headers.get('content-length');
-          if (size) {
-            this._fileSize = this.formatFileSize(parseInt(size, 10));
-          } else {
-            // If HEAD doesn't return content-length, try GET
-            response = await fetch(corsProxyUrl, { method: 'GET' });
-            if (response.ok) {
-              const blob = await response.blob();
-              this._fileSize = this.formatFileSize(blob.size);
-            } else {
-              this._fileSize = 'Unknown';
-            }
-          }
-        } else {
-          this._fileSize = 'Unknown';
-        }
-      } catch (error) {
-        this._fileSize = 'Unknown';
-      }
+      // The size pass stores fileSize on the media; measure the rest on demand
+      this._fileSize = typeof media.fileSize === 'number'
+        ? formatFileSize(media.fileSize)
+        : await this.fetchFileSize(media.url);
     } catch {
       this._mediaOrigin = 'Unknown';
       this._mediaPath = 'Unknown';
@@ -534,58 +713,62 @@ class MediaDetails extends LitElement {
     }
   }
 
+  async fetchFileSize(mediaUrl) {
+    try {
+      const proxiedUrl = `${this.corsProxy}?url=${encodeURIComponent(mediaUrl)}`;
+
+      // Try HEAD request first
+      const response = await fetch(proxiedUrl, { method: 'HEAD' });
+      if (!response.ok) return 'Unknown';
+
+      const size = response.headers.get('content-length');
+      if (size) return formatFileSize(parseInt(size, 10));
+
+      // If HEAD doesn't return content-length, try GET
+      const getResponse = await fetch(proxiedUrl, { method: 'GET' });
+      if (!getResponse.ok) return 'Unknown';
+      return formatFileSize((await getResponse.blob()).size);
+    } catch (error) {
+      return 'Unknown';
+    }
+  }
+
   async loadExifData(imageUrl) {
     if (!imageUrl) return;
 
     try {
-      // Load EXIF.js library if not already loaded
-      if (!window.EXIF) {
-        await this.loadExifLibrary();
-      }
-
-      // Use CORS proxy
-      const corsProxyUrl = `https://media-library-cors-proxy.aem-poc-lab.workers.dev/?url=${encodeURIComponent(imageUrl)}`;
-
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-
-      await new Promise((resolve) => {
-        img.onload = () => {
-          try {
-            window.EXIF.getData(img, () => {
-              const allTags = window.EXIF.getAllTags(img);
-              this._exifData = allTags && Object.keys(allTags).length > 0 ? allTags : null;
-              resolve();
-            });
-          } catch {
-            this._exifData = null;
-            resolve();
-          }
-        };
-        img.onerror = () => {
-          this._exifData = null;
-          resolve();
-        };
-        img.src = corsProxyUrl;
-      });
+      // exifr is bundled; the proxy makes cross-origin image bytes readable
+      const exifr = await import(/* @vite-ignore */ 'exifr');
+      const tags = await exifr.parse(`${this.corsProxy}?url=${encodeURIComponent(imageUrl)}`);
+      this._exifData = tags && Object.keys(tags).length > 0 ? tags : null;
     } catch {
       this._exifData = null;
     }
   }
 
-  async loadExifLibrary() {
-    return new Promise((resolve, reject) => {
-      if (window.EXIF) {
-        resolve();
-        return;
-      }
+  renderMetadataLeaks(media) {
+    const leaks = media?.metadataAudit?.leaks || [];
+    if (leaks.length === 0) return '';
 
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/exif-js';
-      script.onload = () => resolve();
-      script.onerror = () => reject(new Error('Failed to load EXIF library'));
-      document.head.appendChild(script);
-    });
+    const groups = {
+      gps: 'Location',
+      serial: 'Camera',
+      author: 'Author',
+      software: 'Software',
+    };
+
+    return html`
+      <tr class="metadata-row leak-section">
+        <td class="metadata-label">Metadata Leaks</td>
+        <td class="metadata-value">${leaks.length} ${leaks.length === 1 ? 'field' : 'fields'}</td>
+      </tr>
+      ${leaks.map((leak) => html`
+        <tr class="metadata-row leak-row">
+          <td class="metadata-label">${groups[leak.group] || leak.group}: ${leak.field}</td>
+          <td class="metadata-value">${leak.value}</td>
+        </tr>
+      `)}
+    `;
   }
 
   renderExifSection() {
@@ -597,17 +780,18 @@ class MediaDetails extends LitElement {
     const displayKeys = {
       Make: 'Camera Make',
       Model: 'Camera Model',
-      DateTime: 'Date Taken',
+      DateTimeOriginal: 'Date Taken',
       FNumber: 'F-Number',
       ExposureTime: 'Exposure Time',
-      ISOSpeedRatings: 'ISO',
+      ISO: 'ISO',
       FocalLength: 'Focal Length',
       LensModel: 'Lens',
     };
 
     Object.keys(displayKeys).forEach((key) => {
       if (this._exifData[key]) {
-        const value = this._exifData[key];
+        const rawValue = this._exifData[key];
+        const value = rawValue instanceof Date ? rawValue.toLocaleString() : rawValue;
         exifRows.push(html`
           <tr class="metadata-row exif-row">
             <td class="metadata-label">${displayKeys[key]}</td>
@@ -628,14 +812,6 @@ class MediaDetails extends LitElement {
     `;
   }
 
-  formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return `${Math.round((bytes / (k ** i)) * 100) / 100} ${sizes[i]}`;
-  }
-
   renderModalPreview() {
     const { media } = this.modalData.data;
 
@@ -654,10 +830,14 @@ class MediaDetails extends LitElement {
       `;
     }
 
-    if (this.isVideo(media.url)) {
+    if (this.isVideo(media.url) || isExternalVideoUrl(media.url)) {
       return this.renderVideoPreview(media);
     }
 
+    if (this.isAudio(media.url)) {
+      return this.renderAudioPreview(media);
+    }
+
     if (this.isPdf(media.url)) {
       return html`
         <div class="pdf-preview">
@@ -758,6 +938,32 @@ class MediaDetails extends LitElement {
     `;
   }
 
+  renderAudioPreview(media) {
+    const ext = this.getFileExtension(media.url).toUpperCase();
+
+    return html`
+      <div class="audio-preview">
+        <div class="audio-preview-header">
+          <svg class="audio-icon">
+            <use href="#audio"></use>
+          </svg>
+          <h3>Audio</h3>
+          <p>${media.name}</p>
+        </div>
+        <audio
+          class="audio-player"
+          src=${media.url}
+          controls
+          preload="metadata"
+          @error=${(e) => this.handleVideoError(e, media)}
+        >
+          <p>Your browser does not support the audio tag.</p>
+        </audio>
+        ${ext ? html`<div class="subtype-label">${ext}</div>` : ''}
+      </div>
+    `;
+  }
+
   handleImageError(e, media) {
     media.hasError = true;
     e.target.style.display = 'none';
@@ -811,12 +1017,14 @@ class MediaDetails extends LitElement {
     const type = media.type || '';
     if (type.startsWith('img >')) return 'photo';
     if (type.startsWith('video >')) return 'video';
+    if (type.startsWith('audio >') || type.startsWith('audio-source >')) return 'audio';
     if (type.startsWith('document >')) return 'pdf';
     if (type.startsWith('link >')) return 'external-link';
 
     if (this.isPdf(media.url)) return 'pdf';
     if (this.isImage(media.url)) return 'photo';
     if (this.isVideo(media.url)) return 'video';
+    if (this.isAudio(media.url)) return 'audio';
 
     return 'photo';
   }
@@ -833,6 +1041,12 @@ class MediaDetails extends LitElement {
     return videoExtensions.includes(ext);
   }
 
+  isAudio(url) {
+    const audioExtensions = ['mp3', 'wav', 'ogg', 'aac', 'flac', 'm4a'];
+    const ext = this.getFileExtension(url);
+    return audioExtensions.includes(ext);
+  }
+
   isPdf(url) {
     const ext = this.getFileExtension(url);
     return ext === 'pdf';
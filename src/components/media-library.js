@@ -1,23 +1,68 @@
 import { html, LitElement } from 'lit';
 import { createStorage } from '../utils/storage.js';
 import ContentParser from '../utils/parser.js';
-import { processMediaData, calculateFilteredMediaData, calculateFilteredMediaDataFromIndex, getGroupingKey } from '../utils/filters.js';
-import { copyMediaToClipboard, urlsMatch } from '../utils/utils.js';
+import {
+  processMediaData,
+  calculateFilteredMediaData,
+  calculateFilteredMediaDataFromIndex,
+  getGroupingKey,
+  updateProgressiveIndex,
+  getBrokenMediaByPage,
+  getContentDuplicateGroups,
+  getMediaWeightByPage,
+  getPotentialSavingsTotal,
+  clearProcessedDataCache,
+} from '../utils/filters.js';
+import { isBuiltInExtractor, BUILT_IN_EXTRACTOR_NAMES } from '../utils/extractors.js';
+import { migrateMediaItems } from '../utils/usage-context.js';
+import { getSizeAnalysis } from '../utils/image-sizing.js';
+import { loadCategoryPatterns, categorizeMediaItems } from '../utils/categorizer.js';
+import defaultCategoryPatterns from '../data/category-patterns.json';
+import { getSharedAltTexts, normalizeAltText, lintAltText } from '../utils/alt-text-lint.js';
+import ScanWorkerClient from '../utils/scan-worker-client.js';
+import {
+  copyMediaToClipboard,
+  sortMediaBySize,
+  sortMediaBySavings,
+  urlsMatch,
+} from '../utils/utils.js';
 import { getStyles } from '../utils/get-styles.js';
+import logger from '../utils/logger.js';
 import './topbar/topbar.js';
 import './sidebar/sidebar.js';
 import './grid/grid.js';
 import './media-details/media-details.js';
+import './near-duplicates/near-duplicates.js';
 import getSvg from '../utils/get-svg.js';
 import mediaLibraryStyles from './media-library.css?inline';
 
 import { waitForMediaLibraryReady, createMediaLibrary, initializeMediaLibrary } from '../utils/initializer.js';
 
+// Sort orders of the topbar; the default order is the order of the scan
+const MEDIA_SORTERS = {
+  size: sortMediaBySize,
+  savings: sortMediaBySavings,
+};
+// Completed pages per checkpoint write of a running scan
+const CHECKPOINT_INTERVAL_PAGES = 50;
+
 class MediaLibrary extends LitElement {
   static properties = {
     storage: { type: String },
     mode: { type: String },
     corsProxy: { type: String },
+    scanLinkedStylesheets: { type: Boolean, attribute: 'scan-linked-stylesheets' },
+    ownedHosts: { type: String, attribute: 'owned-hosts' },
+    extractors: { type: Array, attribute: false },
+    disabledExtractors: { type: String, attribute: 'disabled-extractors' },
+    mainThreadScan: { type: Boolean, attribute: 'main-thread-scan' },
+    checkLinks: { type: Boolean, attribute: 'check-links' },
+    hashContent: { type: Boolean, attribute: 'hash-content' },
+    measureSizes: { type: Boolean, attribute: 'measure-sizes' },
+    auditFormats: { type: Boolean, attribute: 'audit-formats' },
+    auditMetadata: { type: Boolean, attribute: 'audit-metadata' },
+    categoryPatternsUrl: { type: String, attribute: 'category-patterns' },
+    categoryPatterns: { type: Object, attribute: false },
     _mediaData: { state: true },
     _error: { state: true },
     _searchQuery: { state: true },
@@ -31,6 +76,12 @@ class MediaLibrary extends LitElement {
     _realTimeStats: { state: true },
     _progressiveMediaData: { state: true },
     _progressiveLimit: { state: true },
+    _isScanPaused: { state: true },
+    _scanReport: { state: true },
+    _mediaCheckProgress: { state: true },
+    _similarTo: { state: true },
+    _sortOrder: { state: true },
+    _unfinishedScan: { state: true },
     showAnalysisToggle: { type: Boolean },
   };
 
@@ -41,6 +92,18 @@ class MediaLibrary extends LitElement {
     this.storage = 'none';
     this.mode = 'live';
     this.corsProxy = 'https://media-library-cors-proxy.aem-poc-lab.workers.dev/';
+    this.scanLinkedStylesheets = false;
+    this.ownedHosts = '';
+    this.extractors = [];
+    this.disabledExtractors = '';
+    this.mainThreadScan = false;
+    this.checkLinks = false;
+    this.hashContent = false;
+    this.measureSizes = false;
+    this.auditFormats = false;
+    this.auditMetadata = false;
+    this.categoryPatternsUrl = '';
+    this.categoryPatterns = null;
     this._mediaData = [];
     this._error = null;
     this._searchQuery = '';
@@ -52,16 +115,29 @@ class MediaLibrary extends LitElement {
     this._realTimeStats = { images: 0, pages: 0, elapsed: 0 };
     this._progressiveMediaData = [];
     this._progressiveLimit = 0;
-    this._progressiveGroupingKeys = new Set();
+    this._progressiveIndex = new Map();
+    this._progressiveItemsByKey = new Map();
     this._totalPages = 0;
+    this._isScanPaused = false;
+    this._scanAbortController = null;
+    this._scanReport = null;
+    this._mediaCheckProgress = null;
+    this._similarTo = null;
+    this._sortOrder = 'default';
+    this._unfinishedScan = null;
+    this._scanCheckpoint = null;
     this.showAnalysisToggle = true;
 
     this.storageManager = null;
     this.contentParser = null;
+    this._scanWorker = null;
+    this._isScanWorkerUnavailable = false;
+    this._activeScanner = null;
     this._processedData = null;
 
     this._filteredDataCache = null;
     this._filterCacheKey = null;
+    this._mediaReportsCache = null;
 
     this._readyPromise = null;
     this._isReady = false;
@@ -89,6 +165,12 @@ class MediaLibrary extends LitElement {
     }
   }
 
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this._scanWorker?.terminate();
+    this._scanWorker = null;
+  }
+
   async _initialize() {
     const ICONS = [
       'deps/icons/close.svg',
@@ -107,6 +189,10 @@ class MediaLibrary extends LitElement {
     this.storageManager = createStorage(this.storage);
     this.contentParser = new ContentParser({
       corsProxy: this.corsProxy,
+      scanLinkedStylesheets: this.scanLinkedStylesheets,
+      ownedHosts: this.getOwnedHosts(),
+      extractors: this.extractors,
+      disabledExtractors: this.getDisabledExtractors(),
       enableImageAnalysis: this._imageAnalysisEnabled,
       analysisConfig: {
         extractEXIF: true,
@@ -114,9 +200,29 @@ class MediaLibrary extends LitElement {
       },
     });
 
+    await this.loadCategoryPatterns();
     await this.loadMediaDataFromStorage();
   }
 
+  /**
+   * Load the category patterns from categoryPatternsUrl, unless the host has set
+   * categoryPatterns itself. Without a URL, or when it cannot be loaded, the patterns
+   * bundled with the component are used.
+   */
+  async loadCategoryPatterns() {
+    if (this.categoryPatterns) return;
+
+    if (this.categoryPatternsUrl) {
+      try {
+        this.categoryPatterns = await loadCategoryPatterns(this.categoryPatternsUrl);
+        return;
+      } catch (error) {
+        logger.warn(`Using the default category patterns: ${error.message}`);
+      }
+    }
+    this.categoryPatterns = defaultCategoryPatterns;
+  }
+
   shouldUpdate(changedProperties) {
     // Content/Data changes - require full re-render
     const hasDataChange = changedProperties.has('_mediaData');
@@ -131,10 +237,22 @@ class MediaLibrary extends LitElement {
                      || changedProperties.has('_error')
                      || changedProperties.has('showAnalysisToggle')
                      || changedProperties.has('_isBatchLoading')
-                     || changedProperties.has('_realTimeStats');
+                     || changedProperties.has('_realTimeStats')
+                     || changedProperties.has('_isScanPaused')
+                     || changedProperties.has('_scanReport')
+                     || changedProperties.has('_mediaCheckProgress')
+                     || changedProperties.has('_similarTo')
+                     || changedProperties.has('_sortOrder')
+                     || changedProperties.has('_unfinishedScan');
     
     // Configuration changes - require component reconfiguration
-    const hasConfigChange = changedProperties.has('corsProxy');
+    const hasConfigChange = changedProperties.has('corsProxy')
+                         || changedProperties.has('scanLinkedStylesheets')
+                         || changedProperties.has('ownedHosts')
+                         || changedProperties.has('extractors')
+                         || changedProperties.has('disabledExtractors')
+                         || changedProperties.has('categoryPatternsUrl')
+                         || changedProperties.has('categoryPatterns');
 
     return hasDataChange || hasFilterChange || hasUIChange || hasConfigChange;
   }
@@ -146,6 +264,140 @@ class MediaLibrary extends LitElement {
         this.contentParser.corsProxy = this.corsProxy;
       }
     }
+
+    // The initial URL is loaded by _initialize
+    const previousPatternsUrl = changedProperties.get('categoryPatternsUrl');
+    if (changedProperties.has('categoryPatternsUrl') && previousPatternsUrl !== undefined) {
+      this.categoryPatterns = null;
+      await this.loadCategoryPatterns();
+    }
+
+    if (changedProperties.has('categoryPatterns') && this._mediaData?.length) {
+      this._processedData = await this.indexMediaData(this._mediaData, true);
+      this._filteredDataCache = null;
+    }
+
+    if (changedProperties.has('scanLinkedStylesheets') && this.contentParser) {
+      this.contentParser.scanLinkedStylesheets = this.scanLinkedStylesheets;
+    }
+
+    if (changedProperties.has('ownedHosts') && this.contentParser) {
+      this.contentParser.ownedHosts = this.getOwnedHosts();
+    }
+
+    if (changedProperties.has('extractors') && this.contentParser) {
+      this.contentParser.extractors = this.extractors || [];
+    }
+
+    if (changedProperties.has('disabledExtractors') && this.contentParser) {
+      this.contentParser.disabledExtractors = this.getDisabledExtractors();
+    }
+  }
+
+  /**
+   * Hosts listed in the owned-hosts attribute; robots.txt is not enforced for them
+   * @returns {Array<string>} Hostnames
+   */
+  getOwnedHosts() {
+    return (this.ownedHosts || '')
+      .split(',')
+      .map((host) => host.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Extractor names listed in the disabled-extractors attribute
+   * @returns {Array<string>} Extractor names, e.g. ['link', 'metadata']
+   */
+  getDisabledExtractors() {
+    return (this.disabledExtractors || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the scan worker, created on first use
+   * @returns {ScanWorkerClient|null} Worker client, or null when scanning on the main thread
+   */
+  getScanWorker() {
+    if (this.mainThreadScan || this._isScanWorkerUnavailable || !ScanWorkerClient.isSupported()) {
+      return null;
+    }
+    if (!this._scanWorker) {
+      this._scanWorker = new ScanWorkerClient();
+    }
+    return this._scanWorker;
+  }
+
+  /**
+   * Pick the scanner for the next scan. Scans run in the worker unless they need the main
+   * thread: image analysis loads images into Image elements, and custom extractors are
+   * functions that cannot be posted to a worker.
+   * @returns {ContentParser|ScanWorkerClient} Scanner with the ContentParser scanning API
+   */
+  getScanner() {
+    const activeExtractors = this.contentParser.getActiveExtractors();
+    const scanWorker = this.getScanWorker();
+    if (!scanWorker || this._imageAnalysisEnabled
+      || !activeExtractors.every((extractor) => isBuiltInExtractor(extractor))) {
+      return this.contentParser;
+    }
+
+    const activeNames = activeExtractors.map((extractor) => extractor.name);
+    scanWorker.config = {
+      corsProxy: this.corsProxy,
+      scanLinkedStylesheets: this.scanLinkedStylesheets,
+      ownedHosts: this.getOwnedHosts(),
+      disabledExtractors: BUILT_IN_EXTRACTOR_NAMES.filter((name) => !activeNames.includes(name)),
+    };
+    return scanWorker;
+  }
+
+  /**
+   * Build the filter and search index, in the worker when available
+   * @param {Array} mediaData - Complete media data
+   * @param {boolean} refresh - Skip the cached index, for items updated in place
+   * @returns {Promise<Object>} Processed data
+   */
+  async indexMediaData(mediaData, refresh = false) {
+    if (refresh) {
+      clearProcessedDataCache();
+    }
+
+    // Categories derive from the patterns, so they are recomputed rather than stored
+    categorizeMediaItems(mediaData, this.categoryPatterns);
+
+    const scanWorker = this.getScanWorker();
+    if (scanWorker) {
+      try {
+        return await scanWorker.processMediaData(mediaData, refresh);
+      } catch (error) {
+        // Workers can be blocked, e.g. by a Content Security Policy; stay on the main thread
+        this._scanWorker.terminate();
+        this._scanWorker = null;
+        this._isScanWorkerUnavailable = true;
+      }
+    }
+    return processMediaData(mediaData);
+  }
+
+  /**
+   * Add a batch of progressive items to the live results shown while scanning
+   * @param {Object} batch - newItems and usageCounts from updateProgressiveIndex
+   */
+  applyProgressiveBatch({ newItems, usageCounts }) {
+    newItems.forEach((item) => {
+      this._progressiveItemsByKey.set(getGroupingKey(item.url), item);
+    });
+    usageCounts.forEach(([groupingKey, usageCount]) => {
+      const item = this._progressiveItemsByKey.get(groupingKey);
+      if (item) item.usageCount = usageCount;
+    });
+
+    if (newItems.length > 0 || usageCounts.length > 0) {
+      this._progressiveMediaData = [...this._progressiveMediaData, ...newItems];
+    }
   }
 
   async initialize() {
@@ -171,12 +423,16 @@ class MediaLibrary extends LitElement {
 
       if (data && data.length > 0) {
         this._mediaData = data;
-        this._processedData = await processMediaData(data);
+        this._processedData = await this.indexMediaData(data);
       } else {
         this._mediaData = [];
         this._processedData = await processMediaData([]);
       }
 
+      const metadata = await this.storageManager.loadScanMetadata();
+      this._scanReport = metadata?.scanReport || null;
+      await this.checkUnfinishedScan();
+
       // Reset scanning state to prevent progressive loading from interfering
       this._isScanning = false;
       this._isBatchLoading = false;
@@ -204,6 +460,13 @@ class MediaLibrary extends LitElement {
     }
   }
 
+  /**
+   * Scan a list of pages and load the media found on them. Scans of page lists that save to
+   * storage are checkpointed every few pages, so one cut short by a closed tab can be
+   * resumed with resumeUnfinishedScan().
+   * @param {Array|AsyncIterable} pageList - Page objects with loc and lastmod, or an async
+   *   iterable such as CrawlerSource.crawl() whose pages are scanned as they are discovered
+   */
   async loadFromPageList(
     pageList,
     onProgress = null,
@@ -212,18 +475,38 @@ class MediaLibrary extends LitElement {
     previousMetadata = null,
     completePageList = null,
     existingMediaData = null,
+    options = {},
   ) {
-    if (!pageList || pageList.length === 0) {
+    // A resumed scan may have completed every page before it was cut short
+    const { resumeFrom = null } = options;
+    if (!resumeFrom && (!pageList || pageList.length === 0)) {
       this._error = 'No pages provided to scan';
       return [];
     }
 
+    const isPageStream = !Array.isArray(pageList);
+    const resumedPages = resumeFrom?.completedPages.length || 0;
+
+    // Internal controller backs cancelScan(); an external signal can also cancel the scan
+    this._scanAbortController = new AbortController();
+    const { signal } = this._scanAbortController;
+    const handleExternalAbort = () => this.cancelScan();
+    options.signal?.addEventListener('abort', handleExternalAbort, { once: true });
+    if (options.signal?.aborted) {
+      this.cancelScan();
+    }
+
+    let elapsedInterval = null;
+    const scanner = this.getScanner();
+    this._activeScanner = scanner;
+
     try {
       this._isScanning = true;
       this._isBatchLoading = true;
       this._error = null;
       this._progressiveMediaData = [];
-      this._progressiveGroupingKeys = new Set();
+      this._progressiveIndex = new Map();
+      this._progressiveItemsByKey = new Map();
       this._searchQuery = '';
       this._selectedFilterType = 'all';
       this._scanStartTime = Date.now();
@@ -236,7 +519,7 @@ class MediaLibrary extends LitElement {
       window.dispatchEvent(new CustomEvent('clear-search'));
       window.dispatchEvent(new CustomEvent('clear-filters'));
 
-      let currentExistingMediaData = existingMediaData || this._mediaData || [];
+      let currentExistingMediaData = migrateMediaItems(existingMediaData) || this._mediaData || [];
 
       if (previousMetadata && currentExistingMediaData.length === 0) {
         currentExistingMediaData = await this.storageManager.load() || [];
@@ -245,86 +528,114 @@ class MediaLibrary extends LitElement {
       // Initialize progressive media data with existing media for incremental scans
       if (currentExistingMediaData.length > 0) {
         this._progressiveMediaData = [...currentExistingMediaData];
-        // Initialize grouping keys for existing media
+        // Index existing media so rescanned pages only raise their usage counts
         currentExistingMediaData.forEach((item) => {
           if (item.url) {
-            this._progressiveGroupingKeys.add(getGroupingKey(item.url));
+            const groupingKey = getGroupingKey(item.url);
+            this._progressiveIndex.set(groupingKey, item.usageCount || 1);
+            this._progressiveItemsByKey.set(groupingKey, item);
           }
         });
       }
 
-      this._scanProgress = { current: 0, total: pageList.length, found: 0 };
-      this._totalPages = pageList.length;
+      if (resumeFrom) {
+        this.applyProgressiveBatch(updateProgressiveIndex(
+          this._progressiveIndex,
+          resumeFrom.mediaItems,
+        ));
+      }
+
+      // Crawls have no page list to resume from
+      if (saveToStorage && !isPageStream) {
+        this.startScanCheckpoint(resumeFrom || {
+          pageList,
+          completePageList,
+          incremental: !!previousMetadata,
+          completedPages: [],
+          mediaCount: 0,
+          startedAt: this._scanStartTime,
+        }, !!resumeFrom);
+      }
+
+      const knownTotal = isPageStream ? 0 : pageList.length + resumedPages;
+      this._scanProgress = { current: 0, total: knownTotal, found: 0 };
+      this._totalPages = knownTotal;
       this.requestUpdate();
 
-      const elapsedInterval = setInterval(() => {
+      elapsedInterval = setInterval(() => {
         this._realTimeStats.elapsed = ((Date.now() - this._scanStartTime) / 1000).toFixed(1);
         this._realTimeStats = { ...this._realTimeStats };
         this.requestUpdate();
       }, 100);
 
-      const newMediaItems = await this.contentParser.scanPages(
+      const scannedMediaItems = await scanner.scanPages(
         pageList,
-        (completed, total, found) => {
-          this._realTimeStats.pages = completed;
+        (completed, total, found, batch = null) => {
+          this._realTimeStats.pages = resumedPages + completed;
           this._realTimeStats.images += found;
           this._realTimeStats.elapsed = ((Date.now() - this._scanStartTime) / 1000).toFixed(1);
           this._realTimeStats = { ...this._realTimeStats };
 
-          // Update progressive media data for real-time display
-          if (found > 0) {
-            const latestItems = this.contentParser.getLatestMediaItems();
-            if (latestItems && latestItems.length > 0) {
-              let hasUpdates = false;
-
-              // Update usage counts for existing items
-              latestItems.forEach((newItem) => {
-                const groupingKey = getGroupingKey(newItem.url);
-                const existingItem = this._progressiveMediaData.find((item) => {
-                  const itemGroupingKey = getGroupingKey(item.url);
-                  return itemGroupingKey === groupingKey;
-                });
-                if (existingItem) {
-                  existingItem.usageCount = (existingItem.usageCount || 1) + 1;
-                  hasUpdates = true;
-                }
-              });
-              // Filter out items that already exist in progressive data using grouping keys
-              const newUniqueItems = latestItems.filter((item) => {
-                if (!item.url) return false;
-                const groupingKey = getGroupingKey(item.url);
-                if (!this._progressiveGroupingKeys.has(groupingKey)) {
-                  this._progressiveGroupingKeys.add(groupingKey);
-                  item.usageCount = 1;
-                  return true;
-                }
-                return false;
-              });
-
-              if (newUniqueItems.length > 0 || hasUpdates) {
-                // Add only new unique items to progressive data
-                this._progressiveMediaData = [...this._progressiveMediaData, ...newUniqueItems];
-              }
-            }
+          // The worker sends its progressive batch along; on the main thread it is built here
+          if (batch) {
+            this.applyProgressiveBatch(batch);
+          } else if (found > 0) {
+            this.applyProgressiveBatch(updateProgressiveIndex(
+              this._progressiveIndex,
+              this.contentParser.getLatestMediaItems(),
+            ));
+          }
+
+          if (this._scanCheckpoint) {
+            this.recordScanCheckpoint(batch);
           }
 
           this.requestUpdate();
 
           if (onProgress) {
-            onProgress(completed, total, found);
+            onProgress(resumedPages + completed, resumedPages + total, found);
           }
         },
         previousMetadata,
+        {
+          signal,
+          progressiveKeys: [...this._progressiveIndex],
+          checkpoint: !!this._scanCheckpoint,
+        },
       );
+      const newMediaItems = [...(resumeFrom?.mediaItems || []), ...scannedMediaItems];
 
       clearInterval(elapsedInterval);
 
       const scanDuration = Date.now() - this._scanStartTime;
       const durationSeconds = (scanDuration / 1000).toFixed(1);
 
+      // Streamed page lists are only known once the scan has consumed them
+      const scannedPageList = isPageStream
+        ? scanner.getDiscoveredPages()
+        : resumeFrom?.pageList || pageList;
+      this._totalPages = scannedPageList.length;
+
+      // Pages completed before the scan was resumed count towards its report
+      const currentReport = scanner.getScanReport();
+      const scanReport = this.mergeScanReport(
+        this._scanReport,
+        resumeFrom ? {
+          ...currentReport,
+          startedAt: resumeFrom.startedAt,
+          totalPages: currentReport.totalPages + resumedPages,
+          succeededPages: currentReport.succeededPages + resumedPages,
+        } : currentReport,
+        scannedPageList,
+      );
+      const failedUrls = new Set(scanReport.failures.map((failure) => failure.url));
+
+      // Failed pages keep the media found by earlier scans
       let pagesToReparse = [];
       if (previousMetadata && previousMetadata.pageLastModified) {
-        pagesToReparse = pageList.map((page) => page.loc || page.url);
+        pagesToReparse = scannedPageList
+          .map((page) => page.loc || page.url)
+          .filter((pageUrl) => !failedUrls.has(pageUrl));
       }
 
       const filteredExistingMedia = currentExistingMediaData.filter((item) => {
@@ -334,24 +645,36 @@ class MediaLibrary extends LitElement {
 
       const completeMediaData = [...filteredExistingMedia, ...newMediaItems];
 
+      // Queued checkpoint writes would race the final save for the storage connection
+      await this._scanCheckpoint?.write;
+
       if (saveToStorage) {
         await this.storageManager.save(completeMediaData);
       }
 
-      const metadataPageList = completePageList || pageList;
+      const metadataPageList = completePageList || scannedPageList;
       const pageLastModified = {};
       metadataPageList.forEach((page) => {
         pageLastModified[page.loc || page.url] = page.lastmod;
       });
+      // Clear lastmod for failed pages so the next incremental scan picks them up again
+      scannedPageList.forEach((page) => {
+        const pageUrl = page.loc || page.url;
+        pageLastModified[pageUrl] = failedUrls.has(pageUrl) ? null : page.lastmod;
+      });
 
       await this.storageManager.saveScanMetadata({
         totalPages: metadataPageList.length,
         pageLastModified,
         scanDuration,
+        scanReport,
       });
+      await this.finishScanCheckpoint(false);
+
+      this._scanReport = scanReport;
 
       this._mediaData = completeMediaData;
-      this._processedData = await processMediaData(completeMediaData);
+      this._processedData = await this.indexMediaData(completeMediaData);
       this._isScanning = false;
       this._isBatchLoading = false;
       this._scanProgress = null;
@@ -364,7 +687,7 @@ class MediaLibrary extends LitElement {
       this.requestUpdate();
 
       this._scanStats = {
-        pagesScanned: pageList.length,
+        pagesScanned: scannedPageList.length,
         mediaFound: newMediaItems.length,
         duration: durationSeconds,
       };
@@ -373,15 +696,554 @@ class MediaLibrary extends LitElement {
         window.refreshSites();
       }
 
+      const runsMediaChecks = this.checkLinks || this.hashContent || this.measureSizes
+        || this.auditFormats || this.auditMetadata;
+      if (runsMediaChecks) {
+        // The scan itself succeeded; media stays unchecked until the next check
+        if (this.checkLinks) await this.checkBrokenMedia().catch(() => {});
+        if (this.hashContent) await this.findDuplicateMedia().catch(() => {});
+        if (this.measureSizes) await this.measureMediaSizes().catch(() => {});
+        if (this.auditFormats) await this.auditImageFormats().catch(() => {});
+        if (this.auditMetadata) await this.auditImageMetadata().catch(() => {});
+        return this._mediaData;
+      }
+
       return completeMediaData;
     } catch (error) {
       this._isScanning = false;
       this._isBatchLoading = false;
       this._scanProgress = null;
-      this._error = `Scan failed: ${error.message}`;
+
+      if (error.name === 'AbortError') {
+        // Cancelled scans keep the previously loaded data untouched
+        this._progressiveMediaData = [];
+        this._filteredDataCache = null;
+        await this.finishScanCheckpoint(false);
+      } else {
+        this._error = `Scan failed: ${error.message}`;
+        await this.finishScanCheckpoint(true);
+        await this.checkUnfinishedScan();
+      }
+
       this.updateAnalysisToggleVisibility();
       throw error;
+    } finally {
+      clearInterval(elapsedInterval);
+      options.signal?.removeEventListener('abort', handleExternalAbort);
+      scanner.resume();
+      this._activeScanner = null;
+      this._isScanPaused = false;
+      this._scanAbortController = null;
+    }
+  }
+
+  /**
+   * Start writing checkpoints of the running scan, replacing the stored checkpoint unless
+   * the scan resumes it
+   * @param {Object} checkpoint - Checkpoint being resumed, or the initial state of a scan:
+   *   pageList, completePageList, incremental, completedPages, mediaCount and startedAt
+   * @param {boolean} isResumed - Whether the checkpoint is the stored one being resumed
+   */
+  startScanCheckpoint(checkpoint, isResumed) {
+    const { mediaItems: _, ...record } = checkpoint;
+    this._unfinishedScan = null;
+    this._scanCheckpoint = {
+      record,
+      pages: [],
+      items: [],
+      write: isResumed
+        ? Promise.resolve()
+        : this.storageManager.clearScanCheckpoint()
+          .then(() => this.storageManager.saveScanCheckpoint(record))
+          .catch(() => {}),
+    };
+  }
+
+  /**
+   * Add the pages completed since the last progress callback to the scan checkpoint and
+   * write it once enough pages have completed
+   * @param {Object|null} batch - Progress batch of the scan worker, with completedPages and
+   *   their mediaItems; null on the main thread, where the parser has the latest page
+   */
+  recordScanCheckpoint(batch) {
+    const checkpoint = this._scanCheckpoint;
+    if (batch) {
+      checkpoint.pages.push(...(batch.completedPages || []));
+      checkpoint.items.push(...(batch.mediaItems || []));
+    } else if (this.contentParser.getLatestPage()) {
+      checkpoint.pages.push(this.contentParser.getLatestPage());
+      checkpoint.items.push(...this.contentParser.getLatestMediaItems());
+    }
+
+    if (checkpoint.pages.length >= CHECKPOINT_INTERVAL_PAGES) {
+      this.writeScanCheckpoint();
+    }
+  }
+
+  /**
+   * Write the pages completed since the last write, and their media, to the checkpoint
+   * @returns {Promise<void>} Resolves when every pending write has finished
+   */
+  writeScanCheckpoint() {
+    const checkpoint = this._scanCheckpoint;
+    if (!checkpoint) return Promise.resolve();
+    if (checkpoint.pages.length === 0) return checkpoint.write;
+
+    const { pages, items } = checkpoint;
+    checkpoint.pages = [];
+    checkpoint.items = [];
+    // A new record per write, so a queued write never lists pages whose media it lacks
+    checkpoint.record = {
+      ...checkpoint.record,
+      completedPages: [
+        ...checkpoint.record.completedPages,
+        ...pages.map((page) => page.loc || page.url),
+      ],
+      mediaCount: checkpoint.record.mediaCount + items.length,
+      updatedAt: Date.now(),
+    };
+
+    // Checkpoints are best effort: a failed write only loses the progress since the last one
+    const { record } = checkpoint;
+    checkpoint.write = checkpoint.write
+      .then(() => this.storageManager.saveScanCheckpoint(record, items))
+      .catch(() => {});
+    return checkpoint.write;
+  }
+
+  /**
+   * Stop checkpointing the scan
+   * @param {boolean} keep - Write the remaining progress so the scan can be resumed;
+   *   otherwise the checkpoint is deleted
+   */
+  async finishScanCheckpoint(keep) {
+    if (!this._scanCheckpoint) return;
+
+    const write = keep ? this.writeScanCheckpoint() : this._scanCheckpoint.write;
+    this._scanCheckpoint = null;
+    await write;
+    if (!keep) {
+      await this.storageManager.clearScanCheckpoint().catch(() => {});
+    }
+  }
+
+  /**
+   * Look for a scan of the current site that stopped before it finished, for instance in a
+   * tab that was closed, and offer to resume it
+   * @returns {Promise<Object|null>} totalPages, completedPages, mediaCount, startedAt and
+   *   updatedAt of the unfinished scan, or null
+   */
+  async checkUnfinishedScan() {
+    const checkpoint = this._isScanning || !this.storageManager
+      ? null
+      : await this.storageManager.loadScanCheckpoint(false);
+
+    this._unfinishedScan = checkpoint ? {
+      totalPages: checkpoint.pageList.length,
+      completedPages: checkpoint.completedPages.length,
+      mediaCount: checkpoint.mediaCount,
+      startedAt: checkpoint.startedAt,
+      updatedAt: checkpoint.updatedAt || checkpoint.startedAt,
+    } : null;
+
+    if (this._unfinishedScan) {
+      this.dispatchEvent(new CustomEvent('media-library-unfinished-scan', {
+        detail: { ...this._unfinishedScan },
+        bubbles: true,
+      }));
+    }
+    return this._unfinishedScan;
+  }
+
+  /**
+   * Resume the unfinished scan found by checkUnfinishedScan(). Pages it completed keep their
+   * checkpointed media; the remaining pages are scanned.
+   * @param {Function} onProgress - Optional callback with (completed, total, found)
+   * @param {Object} options - Scan options, see loadFromPageList
+   * @returns {Promise<Array>} Complete media data after the scan
+   */
+  async resumeUnfinishedScan(onProgress = null, options = {}) {
+    if (this._isScanning) return this._mediaData;
+
+    const checkpoint = await this.storageManager.loadScanCheckpoint();
+    if (!checkpoint) {
+      this._unfinishedScan = null;
+      return this._mediaData;
+    }
+
+    const completedPages = new Set(checkpoint.completedPages);
+    const remainingPages = checkpoint.pageList
+      .filter((page) => !completedPages.has(page.loc || page.url));
+    // Incremental scans skip the same unchanged pages, as the metadata is saved at the end
+    const previousMetadata = checkpoint.incremental
+      ? await this.storageManager.loadScanMetadata()
+      : null;
+
+    return this.loadFromPageList(
+      remainingPages,
+      onProgress,
+      null,
+      true,
+      previousMetadata,
+      checkpoint.completePageList,
+      null,
+      { ...options, resumeFrom: checkpoint },
+    );
+  }
+
+  async handleResumeUnfinishedScan() {
+    try {
+      await this.resumeUnfinishedScan();
+    } catch (error) {
+      // loadFromPageList already surfaces scan errors in the error state
+    }
+  }
+
+  /**
+   * Delete the checkpoint of the unfinished scan, so it is no longer offered
+   */
+  async discardUnfinishedScan() {
+    this._unfinishedScan = null;
+    await this.storageManager?.clearScanCheckpoint();
+  }
+
+  /**
+   * Combine the report of the scan that just ran with the previous one. Failures and
+   * missing share images of pages that were not rescanned are kept; pages that failed
+   * again accumulate their retry count.
+   * @param {Object|null} previousReport - Report stored with the previous scan
+   * @param {Object} currentReport - Report from ContentParser.getScanReport()
+   * @param {Array} pageList - Pages scanned in this run
+   * @returns {Object} Merged scan report
+   */
+  mergeScanReport(previousReport, currentReport, pageList) {
+    const scannedUrls = new Set(pageList.map((page) => page.loc || page.url));
+    const previousFailures = new Map(
+      (previousReport?.failures || []).map((failure) => [failure.url, failure]),
+    );
+
+    const failures = currentReport.failures.map((failure) => {
+      const previousFailure = previousFailures.get(failure.url);
+      if (!previousFailure) return failure;
+      return { ...failure, retryCount: previousFailure.retryCount + 1 + failure.retryCount };
+    });
+    previousFailures.forEach((failure, pageUrl) => {
+      if (!scannedUrls.has(pageUrl)) {
+        failures.push(failure);
+      }
+    });
+
+    const pagesWithoutShareImage = [
+      ...(currentReport.pagesWithoutShareImage || []),
+      ...(previousReport?.pagesWithoutShareImage || [])
+        .filter((pageUrl) => !scannedUrls.has(pageUrl)),
+    ];
+
+    return {
+      ...currentReport,
+      failedPages: failures.length,
+      failures,
+      pagesWithoutShareImage,
+    };
+  }
+
+  /**
+   * Get the structured report of failed pages from the last scan
+   * @returns {Object|null} Scan report, or null before the first scan
+   */
+  getScanReport() {
+    return this._scanReport;
+  }
+
+  /**
+   * Rescan only the pages that failed in the last scan, keeping all other media
+   * @param {Function} onProgress - Optional progress callback
+   * @param {Object} options - Scan options, see loadFromPageList
+   * @returns {Promise<Array>} Complete media data after the retry
+   */
+  async retryFailedPages(onProgress = null, options = {}) {
+    const failures = this._scanReport?.failures || [];
+    if (failures.length === 0 || this._isScanning) {
+      return this._mediaData;
     }
+
+    const retryPageList = failures.map((failure) => ({
+      loc: failure.url,
+      lastmod: failure.lastmod,
+    }));
+
+    const metadata = await this.storageManager.loadScanMetadata();
+    const completePageList = metadata?.pageLastModified
+      ? Object.entries(metadata.pageLastModified).map(([loc, lastmod]) => ({ loc, lastmod }))
+      : null;
+
+    return this.loadFromPageList(
+      retryPageList,
+      onProgress,
+      null,
+      true,
+      null,
+      completePageList,
+      this._mediaData,
+      options,
+    );
+  }
+
+  async handleRetryFailedPages() {
+    try {
+      await this.retryFailedPages();
+    } catch (error) {
+      // loadFromPageList already surfaces scan errors in the error state
+    }
+  }
+
+  /**
+   * Check every media URL for broken links (HEAD, falling back to GET, through the CORS
+   * proxy) and store the status, content type and size on the media as linkCheck
+   * @param {Function} onProgress - Optional callback with (checked, total)
+   * @param {Object} options - Optional AbortSignal
+   * @returns {Promise<Array>} Broken media by page, see getBrokenMediaReport
+   */
+  async checkBrokenMedia(onProgress = null, options = {}) {
+    await this.runMediaCheck(
+      'Checking media links',
+      (handleProgress) => this.contentParser.checkMediaLinks(
+        this._mediaData,
+        handleProgress,
+        options,
+      ),
+      (item, linkCheck) => ({ ...item, linkCheck }),
+      onProgress,
+    );
+    return this.getBrokenMediaReport();
+  }
+
+  /**
+   * Hash the files of all images not hashed yet and store the SHA-256 as contentHash, so
+   * byte-identical images under different URLs show up in the Duplicates filter, and the
+   * difference hash as perceptualHash for Near Duplicates and "Find similar"
+   * @param {Function} onProgress - Optional callback with (hashed, total)
+   * @param {Object} options - Optional AbortSignal, and force to rehash every image
+   * @returns {Promise<Map<string, Array<string>>>} Duplicate groups, see
+   *   getContentDuplicateGroups
+   */
+  async findDuplicateMedia(onProgress = null, options = {}) {
+    await this.runMediaCheck(
+      'Hashing images',
+      (handleProgress) => this.contentParser.hashMediaContent(
+        this._mediaData,
+        handleProgress,
+        options,
+      ),
+      (item, hashes) => (hashes ? {
+        ...item,
+        contentHash: hashes.contentHash,
+        perceptualHash: hashes.perceptualHash ?? item.perceptualHash,
+      } : item),
+      onProgress,
+    );
+    return getContentDuplicateGroups(this._mediaData);
+  }
+
+  /**
+   * Measure the file size of all media not measured yet and store it in bytes as fileSize,
+   * for the Heavy filter, size sorting and the per-page media weight
+   * @param {Function} onProgress - Optional callback with (measured, total)
+   * @param {Object} options - Optional AbortSignal, and force to measure every file again
+   * @returns {Promise<Array>} Media weight by page, see getMediaWeightReport
+   */
+  async measureMediaSizes(onProgress = null, options = {}) {
+    await this.runMediaCheck(
+      'Measuring media',
+      (handleProgress) => this.contentParser.measureMediaSizes(
+        this._mediaData,
+        handleProgress,
+        options,
+      ),
+      (item, fileSize) => (fileSize === null ? item : { ...item, fileSize }),
+      onProgress,
+    );
+    return this.getMediaWeightReport();
+  }
+
+  /**
+   * Classify the format every image is served in and, for legacy formats, estimate the
+   * saving of a WebP re-encode. Stored on the media as formatAudit, for the format filters
+   * and the potential savings sort order.
+   * @param {Function} onProgress - Optional callback with (audited, total)
+   * @param {Object} options - Optional AbortSignal, and force to audit every image again
+   * @returns {Promise<number>} Estimated total savings in bytes
+   */
+  async auditImageFormats(onProgress = null, options = {}) {
+    await this.runMediaCheck(
+      'Auditing formats',
+      (handleProgress) => this.contentParser.auditMediaFormats(
+        this._mediaData,
+        handleProgress,
+        options,
+      ),
+      (item, formatAudit) => (formatAudit
+        ? { ...item, formatAudit, fileSize: item.fileSize ?? formatAudit.fileSize }
+        : item),
+      onProgress,
+    );
+    return this.getMediaReports().potentialSavings;
+  }
+
+  /**
+   * Read the EXIF, GPS, IPTC and XMP metadata of every image not audited yet and store
+   * fields that leak location, camera serials, author names or editing software as
+   * metadataAudit, for the Metadata Leak filter
+   * @param {Function} onProgress - Optional callback with (audited, total)
+   * @param {Object} options - Optional AbortSignal, and force to audit every image again
+   * @returns {Promise<Array>} Media items with leaking metadata
+   */
+  async auditImageMetadata(onProgress = null, options = {}) {
+    await this.runMediaCheck(
+      'Auditing metadata',
+      (handleProgress) => this.contentParser.auditMediaMetadata(
+        this._mediaData,
+        handleProgress,
+        options,
+      ),
+      (item, metadataAudit) => (metadataAudit ? { ...item, metadataAudit } : item),
+      onProgress,
+    );
+    return this._mediaData.filter((item) => item.metadataAudit?.leaks?.length > 0);
+  }
+
+  /**
+   * Run a pass over the loaded media, such as the link check, and store its results on
+   * the media items. Passes do not run during a scan or while another pass is running.
+   * @param {string} label - Progress message shown in the sidebar
+   * @param {Function} runPass - Called with a progress callback; resolves to a Map of
+   *   media URL to result
+   * @param {Function} applyResult - Called with (item, result); returns the updated item
+   * @param {Function} onProgress - Optional callback with (done, total)
+   */
+  async runMediaCheck(label, runPass, applyResult, onProgress = null) {
+    if (this._isScanning || this._mediaCheckProgress || !this._mediaData?.length) {
+      return;
+    }
+
+    this._mediaCheckProgress = { label, checked: 0, total: 0 };
+
+    try {
+      const results = await runPass((checked, total) => {
+        this._mediaCheckProgress = { label, checked, total };
+        if (onProgress) {
+          onProgress(checked, total);
+        }
+      });
+
+      this._mediaData = this._mediaData.map((item) => (results.has(item.url)
+        ? applyResult(item, results.get(item.url))
+        : item));
+      await this.storageManager.save(this._mediaData);
+      this._processedData = await this.indexMediaData(this._mediaData, true);
+      this._filteredDataCache = null;
+    } finally {
+      this._mediaCheckProgress = null;
+    }
+  }
+
+  // The sidebar reports and the shared alt texts loop over all media, so they are built
+  // once per indexed data set rather than on every render or click
+  getMediaReports() {
+    const cache = this._mediaReportsCache;
+    if (cache?.mediaData === this._mediaData && cache.processedData === this._processedData) {
+      return cache;
+    }
+
+    this._mediaReportsCache = {
+      mediaData: this._mediaData,
+      processedData: this._processedData,
+      brokenMedia: getBrokenMediaByPage(this._mediaData),
+      mediaWeight: getMediaWeightByPage(this._mediaData),
+      potentialSavings: getPotentialSavingsTotal(this._mediaData),
+      // Shared alt text is marked on the indexed copies, which may live in the worker
+      sharedAltTexts: getSharedAltTexts(this._mediaData),
+    };
+    return this._mediaReportsCache;
+  }
+
+  /**
+   * Get the pages that use broken media, from the last link check
+   * @returns {Array<{doc: string, media: Array}>} Pages with their broken media
+   */
+  getBrokenMediaReport() {
+    return this.getMediaReports().brokenMedia;
+  }
+
+  /**
+   * Get the media bytes of each page, from the last size pass
+   * @returns {Array<Object>} Pages heaviest first, see getMediaWeightByPage
+   */
+  getMediaWeightReport() {
+    return this.getMediaReports().mediaWeight;
+  }
+
+  async handleMeasureMediaSizes() {
+    try {
+      await this.measureMediaSizes();
+    } catch (error) {
+      this._error = `Size measurement failed: ${error.message}`;
+    }
+  }
+
+  async handleAuditImageMetadata() {
+    try {
+      await this.auditImageMetadata();
+    } catch (error) {
+      this._error = `Metadata audit failed: ${error.message}`;
+    }
+  }
+
+  async handleAuditImageFormats() {
+    try {
+      await this.auditImageFormats();
+    } catch (error) {
+      this._error = `Format audit failed: ${error.message}`;
+    }
+  }
+
+  async handleCheckBrokenMedia() {
+    try {
+      await this.checkBrokenMedia();
+    } catch (error) {
+      this._error = `Link check failed: ${error.message}`;
+    }
+  }
+
+  async handleFindDuplicateMedia() {
+    try {
+      await this.findDuplicateMedia();
+    } catch (error) {
+      this._error = `Duplicate detection failed: ${error.message}`;
+    }
+  }
+
+  cancelScan() {
+    if (!this._scanAbortController) return;
+    this._scanAbortController.abort();
+  }
+
+  pauseScan() {
+    if (!this._isScanning || !this._activeScanner) return;
+    this._activeScanner.pause();
+    this._isScanPaused = true;
+    // A paused scan is often left in a tab that gets closed
+    this.writeScanCheckpoint();
+  }
+
+  resumeScan() {
+    if (!this._activeScanner) return;
+    this._activeScanner.resume();
+    this._isScanPaused = false;
+  }
+
+  get isScanPaused() {
+    return this._isScanPaused;
   }
 
   async loadFromStorage(siteKey) {
@@ -417,8 +1279,9 @@ class MediaLibrary extends LitElement {
 
       this.requestUpdate();
 
-      this._mediaData = mediaData;
-      this._processedData = await processMediaData(mediaData);
+      // Data exported by earlier versions carries a ctx string instead of a context object
+      this._mediaData = migrateMediaItems(mediaData);
+      this._processedData = await this.indexMediaData(mediaData);
 
       const loadDuration = Date.now() - this._scanStartTime;
       const durationSeconds = (loadDuration / 1000).toFixed(1);
@@ -480,6 +1343,7 @@ class MediaLibrary extends LitElement {
     this._selectedFilterType = 'all';
     this._scanStats = null;
     this._lastScanDuration = null;
+    this._scanReport = null;
     this.updateAnalysisToggleVisibility();
     this.requestUpdate();
   }
@@ -521,7 +1385,7 @@ class MediaLibrary extends LitElement {
 
   get filteredMediaData() {
     // Create efficient cache key
-    const cacheKey = `${this._selectedFilterType}|${this._searchQuery || ''}|${this.selectedDocument || ''}|${this._mediaData?.length || 0}`;
+    const cacheKey = `${this._selectedFilterType}|${this._searchQuery || ''}|${this.selectedDocument || ''}|${this._mediaData?.length || 0}|${this._sortOrder}`;
 
     // Return cached data if parameters haven't changed
     if (this._filteredDataCache && this._filterCacheKey === cacheKey) {
@@ -548,9 +1412,9 @@ class MediaLibrary extends LitElement {
         }
       });
 
-      this._filteredDataCache = deduplicatedData;
+      this._filteredDataCache = this.sortFilteredMedia(deduplicatedData);
       this._filterCacheKey = cacheKey;
-      return deduplicatedData;
+      return this._filteredDataCache;
     }
 
     const filteredData = calculateFilteredMediaDataFromIndex(
@@ -572,10 +1436,15 @@ class MediaLibrary extends LitElement {
       }
     });
 
-    this._filteredDataCache = deduplicatedData;
+    this._filteredDataCache = this.sortFilteredMedia(deduplicatedData);
     this._filterCacheKey = cacheKey;
 
-    return deduplicatedData;
+    return this._filteredDataCache;
+  }
+
+  sortFilteredMedia(mediaData) {
+    const sortMedia = MEDIA_SORTERS[this._sortOrder];
+    return sortMedia ? sortMedia(mediaData) : mediaData;
   }
 
   // REMOVED: addUsageCountToMediaFromProcessedData function
@@ -631,6 +1500,7 @@ class MediaLibrary extends LitElement {
         media: this._realTimeStats.images || 0,
         duration: null,
         hasChanges: null,
+        paused: this._isScanPaused,
       };
     }
 
@@ -652,9 +1522,48 @@ class MediaLibrary extends LitElement {
     this._searchQuery = e.detail.query;
   }
 
+  handleSort(e) {
+    this._sortOrder = e.detail.order;
+  }
+
   handleFilter(e) {
     if (this.isUIdisabled) return;
     this._selectedFilterType = e.detail.type;
+    this._similarTo = null;
+  }
+
+  handleFindSimilar(e) {
+    this._similarTo = e.detail.media;
+  }
+
+  handleCloseSimilar() {
+    this._similarTo = null;
+  }
+
+  /**
+   * Other URLs serving the same bytes as a media item, with the pages using each
+   * @param {Object} media - Media item
+   * @returns {Array<{url: string, docs: Array<string>}>} Duplicates, empty when the media
+   *   has not been hashed
+   */
+  getContentDuplicates(media) {
+    if (!media?.contentHash) return [];
+
+    const mediaKey = getGroupingKey(media.url);
+    const docsByUrl = new Map();
+    this._mediaData.forEach((item) => {
+      const itemKey = getGroupingKey(item.url);
+      if (item.contentHash !== media.contentHash || itemKey === mediaKey) return;
+
+      if (!docsByUrl.has(itemKey)) {
+        docsByUrl.set(itemKey, new Set());
+      }
+      if (item.doc) {
+        docsByUrl.get(itemKey).add(item.doc);
+      }
+    });
+
+    return Array.from(docsByUrl, ([url, docs]) => ({ url, docs: Array.from(docs) }));
   }
 
   async handleMediaClick(e) {
@@ -662,11 +1571,19 @@ class MediaLibrary extends LitElement {
     if (!media) return;
 
     const filteredItems = this._mediaData?.filter((item) => urlsMatch(item.url, media.url)) || [];
+    const { sharedAltTexts } = this.getMediaReports();
     const usageData = filteredItems.map((item) => ({
       doc: item.doc || 'Unknown Document',
       alt: item.alt,
+      altIssues: lintAltText({
+        ...item,
+        altSharedCount: (sharedAltTexts.get(normalizeAltText(item.alt))?.size || 1) - 1,
+      }),
       type: item.type,
-      ctx: item.ctx,
+      context: item.context,
+      renditions: item.renditions,
+      sizes: item.sizes,
+      sizeAnalysis: getSizeAnalysis(item),
       firstUsedAt: item.firstUsedAt,
       lastUsedAt: item.lastUsedAt,
     }));
@@ -677,6 +1594,7 @@ class MediaLibrary extends LitElement {
         data: {
           media,
           usageData,
+          duplicates: this.getContentDuplicates(media),
         },
       },
     }));
@@ -719,7 +1637,9 @@ class MediaLibrary extends LitElement {
             .currentView=${this._currentView}
             .mediaData=${this._mediaData}
             .resultSummary=${this.getResultSummary()}
+            .sortOrder=${this._sortOrder}
             @search=${this.handleSearch}
+            @sort=${this.handleSort}
           ></media-topbar>
         </div>
 
@@ -730,16 +1650,30 @@ class MediaLibrary extends LitElement {
             .filterCounts=${this.filterCounts}
             .isScanning=${this._isScanning}
             .scanProgress=${this.getScanProgress()}
+            .scanReport=${this._scanReport}
+            .brokenMediaReport=${this._isScanning ? [] : this.getBrokenMediaReport()}
+            .mediaWeightReport=${this._isScanning ? [] : this.getMediaWeightReport()}
+            .potentialSavings=${this._isScanning ? 0 : this.getMediaReports().potentialSavings}
+            .mediaCheckProgress=${this._mediaCheckProgress}
             @filter=${this.handleFilter}
+            @retryFailed=${this.handleRetryFailedPages}
+            @checkLinks=${this.handleCheckBrokenMedia}
+            @findDuplicates=${this.handleFindDuplicateMedia}
+            @measureSizes=${this.handleMeasureMediaSizes}
+            @auditFormats=${this.handleAuditImageFormats}
+            @auditMetadata=${this.handleAuditImageMetadata}
           ></media-sidebar>
         </div>
 
         <div class="main-content">
+          ${this._unfinishedScan && !this._isScanning ? this.renderUnfinishedScan() : ''}
           ${this._error ? this.renderErrorState() : this.renderCurrentView()}
         </div>
 
         <media-details 
-          .isScanning=${this._isScanning}>
+          .isScanning=${this._isScanning}
+          .corsProxy=${this.corsProxy}
+          @findSimilar=${this.handleFindSimilar}>
         </media-details>
       </div>
     `;
@@ -760,6 +1694,27 @@ class MediaLibrary extends LitElement {
     `;
   }
 
+  renderUnfinishedScan() {
+    const { completedPages, totalPages, updatedAt } = this._unfinishedScan;
+    return html`
+      <div class="unfinished-scan" role="status">
+        <div class="unfinished-scan-message">
+          A scan stopped after ${completedPages.toLocaleString('en-US')} of
+          ${totalPages.toLocaleString('en-US')} pages
+          (last saved ${new Date(updatedAt).toLocaleString()}).
+        </div>
+        <div class="unfinished-scan-actions">
+          <button class="retry-button" @click=${this.handleResumeUnfinishedScan}>
+            Resume scan
+          </button>
+          <button class="discard-button" @click=${() => this.discardUnfinishedScan()}>
+            Discard
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
   clearError() {
     this._error = null;
   }
@@ -823,6 +1778,18 @@ class MediaLibrary extends LitElement {
       `;
     }
 
+    // Similarity is between pairs of images, so it gets a grouped view instead of the grid
+    if (this._similarTo || this._selectedFilterType === 'nearDuplicates') {
+      return html`
+        <media-near-duplicates
+          .mediaData=${this._mediaData}
+          .similarTo=${this._similarTo}
+          @mediaClick=${this.handleMediaClick}
+          @closeSimilar=${this.handleCloseSimilar}
+        ></media-near-duplicates>
+      `;
+    }
+
     const mediaWithUsageCount = this.filteredMediaData;
 
     return html`
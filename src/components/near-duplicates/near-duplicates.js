@@ -0,0 +1,131 @@
+import { html, LitElement } from 'lit';
+import { getStyles } from '../../utils/get-styles.js';
+import {
+  createPerceptualHashIndex,
+  getNearDuplicateGroups,
+  findSimilarMedia,
+  DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+} from '../../utils/filters.js';
+import nearDuplicatesStyles from './near-duplicates.css?inline';
+
+// Beyond this many differing bits (of 64) unrelated images start to match
+const MAX_THRESHOLD = 24;
+
+/**
+ * Groups of images that look alike, from their perceptual hashes. With similarTo set,
+ * shows the images that look like that one instead.
+ */
+class MediaNearDuplicates extends LitElement {
+  static properties = {
+    mediaData: { type: Array },
+    similarTo: { type: Object },
+    threshold: { type: Number },
+  };
+
+  static styles = getStyles(nearDuplicatesStyles);
+
+  constructor() {
+    super();
+    this.mediaData = [];
+    this.similarTo = null;
+    this.threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD;
+    this._groups = [];
+    this._hashIndex = null;
+  }
+
+  willUpdate(changedProperties) {
+    // The index only depends on the media, so moving the threshold slider reuses it
+    if (changedProperties.has('mediaData') || !this._hashIndex) {
+      this._hashIndex = createPerceptualHashIndex(this.mediaData);
+    }
+
+    if (changedProperties.has('mediaData')
+      || changedProperties.has('similarTo')
+      || changedProperties.has('threshold')) {
+      this._groups = this.similarTo
+        ? [findSimilarMedia(this.mediaData, this.similarTo, this.threshold, this._hashIndex)]
+        : getNearDuplicateGroups(this.mediaData, this.threshold, this._hashIndex)
+          .map((group) => group.map((media) => ({ media, distance: null })));
+    }
+  }
+
+  handleThresholdInput(e) {
+    this.threshold = parseInt(e.target.value, 10);
+  }
+
+  handleMediaClick(media) {
+    this.dispatchEvent(new CustomEvent('mediaClick', {
+      detail: { media },
+      bubbles: true,
+    }));
+  }
+
+  handleClose() {
+    this.dispatchEvent(new CustomEvent('closeSimilar', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  renderHeader() {
+    return html`
+      <div class="near-duplicates-header">
+        <div class="near-duplicates-title">
+          ${this.similarTo ? html`
+            <button class="back-button" @click=${this.handleClose}>Back</button>
+            <h2>Similar to ${this.similarTo.name}</h2>
+          ` : html`<h2>Near Duplicates</h2>`}
+        </div>
+        <label class="threshold-control">
+          <span>Max. difference: ${this.threshold} bits</span>
+          <input
+            type="range"
+            min="0"
+            max=${MAX_THRESHOLD}
+            .value=${String(this.threshold)}
+            @input=${this.handleThresholdInput}
+          >
+        </label>
+      </div>
+    `;
+  }
+
+  renderMediaCard({ media, distance }) {
+    return html`
+      <li>
+        <button class="near-duplicate-card" @click=${() => this.handleMediaClick(media)} title=${media.url}>
+          <img class="near-duplicate-image" src=${media.url} alt=${media.alt || ''} loading="lazy">
+          <span class="near-duplicate-name">${media.name}</span>
+          ${distance !== null ? html`
+            <span class="near-duplicate-distance">${distance === 0 ? 'Identical' : `${distance} bits apart`}</span>
+          ` : ''}
+        </button>
+      </li>
+    `;
+  }
+
+  render() {
+    const groups = this._groups.filter((group) => group.length > 0);
+
+    return html`
+      <main class="near-duplicates">
+        ${this.renderHeader()}
+        ${groups.length === 0 ? html`
+          <div class="empty-state">
+            <h3>No similar images found</h3>
+            <p>Perceptual hashes are computed by image analysis. Raise the difference to find looser matches.</p>
+          </div>
+        ` : groups.map((group) => html`
+          <section class="near-duplicate-group">
+            ${this.similarTo ? '' : html`<h3>${group.length} similar images</h3>`}
+            <ul class="near-duplicate-list">
+              ${group.map((entry) => this.renderMediaCard(entry))}
+            </ul>
+          </section>
+        `)}
+      </main>
+    `;
+  }
+}
+
+customElements.define('media-near-duplicates', MediaNearDuplicates);
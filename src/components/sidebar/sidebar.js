@@ -1,15 +1,35 @@
 import { html, LitElement } from 'lit';
 import { getStyles } from '../../utils/get-styles.js';
 import logger from '../../utils/logger.js';
+import { HEAVY_MEDIA_KB } from '../../utils/filters.js';
+import { formatFileSize } from '../../utils/utils.js';
 import getSvg from '../../utils/get-svg.js';
 import sidebarStyles from './sidebar.css?inline';
 
+// Pages listed under Heaviest pages
+const MEDIA_WEIGHT_PAGE_LIMIT = 10;
+const SHARE_IMAGE_PAGE_LIMIT = 10;
+// Filters whose counts show the Quality section
+const QUALITY_FILTERS = ['broken', 'duplicates', 'nearDuplicates', 'heavy', 'metadataLeak'];
+// Alt text lint filters, listed under Accessibility
+const ALT_ISSUE_FILTERS = [
+  'altIssues', 'altFilename', 'altDecorativeLink', 'altRedundantPrefix', 'altTooLong',
+  'altMatchesCaption', 'altShared',
+];
+// Categories of the default category patterns, in display order
+const CATEGORY_FILTERS = ['people-photos', 'screenshots', 'logos', 'products'];
+
 class MediaSidebar extends LitElement {
   static properties = {
     activeFilter: { type: String },
     filterCounts: { type: Object },
     isScanning: { type: Boolean },
     scanProgress: { type: Object },
+    scanReport: { type: Object },
+    brokenMediaReport: { type: Array },
+    mediaWeightReport: { type: Array },
+    potentialSavings: { type: Number },
+    mediaCheckProgress: { type: Object },
     isExpanded: { type: Boolean, state: true },
     isIndexExpanded: { type: Boolean, state: true },
   };
@@ -22,6 +42,11 @@ class MediaSidebar extends LitElement {
     this.filterCounts = {};
     this.isScanning = false;
     this.scanProgress = { pages: 0, media: 0, duration: null, hasChanges: null };
+    this.scanReport = null;
+    this.brokenMediaReport = [];
+    this.mediaWeightReport = [];
+    this.potentialSavings = 0;
+    this.mediaCheckProgress = null;
     this.isExpanded = false;
     this.isIndexExpanded = false;
   }
@@ -94,7 +119,7 @@ class MediaSidebar extends LitElement {
       return html`
         <div class="index-panel">
           <div class="index-message">
-            ${this.scanProgress?.pages || 0} pages, ${this.scanProgress?.media || 0} media
+            ${this.scanProgress?.pages || 0} pages, ${this.scanProgress?.media || 0} media${this.scanProgress?.paused ? ' (paused)' : ''}
           </div>
         </div>
       `;
@@ -142,6 +167,192 @@ class MediaSidebar extends LitElement {
     `;
   }
 
+  renderScanFailures() {
+    const failures = this.scanReport?.failures || [];
+    if (this.isScanning || failures.length === 0) return '';
+
+    const countsByClass = failures.reduce((acc, failure) => {
+      acc[failure.errorClass] = (acc[failure.errorClass] || 0) + 1;
+      return acc;
+    }, {});
+
+    return html`
+      <div class="index-panel scan-failures">
+        <div class="index-message">
+          ${this.formatNumber(failures.length)} ${failures.length === 1 ? 'page' : 'pages'} failed
+        </div>
+        <ul class="failure-list">
+          ${Object.entries(countsByClass).map(([errorClass, count]) => html`
+            <li class="failure-item">
+              <span>${errorClass.toUpperCase()}</span>
+              <span class="count">${this.formatNumber(count)}</span>
+            </li>
+          `)}
+        </ul>
+        <button class="retry-btn" @click=${this.handleRetryFailed}>
+          Retry failed pages
+        </button>
+      </div>
+    `;
+  }
+
+  renderMissingShareImages() {
+    const pages = this.scanReport?.pagesWithoutShareImage || [];
+    if (this.isScanning || pages.length === 0) return '';
+
+    return html`
+      <div class="index-panel link-check">
+        <div class="index-message">
+          ${this.formatNumber(pages.length)} ${pages.length === 1 ? 'page has' : 'pages have'}
+          no share image
+        </div>
+        <ul class="failure-list">
+          ${pages.slice(0, SHARE_IMAGE_PAGE_LIMIT).map((pageUrl) => html`
+            <li class="failure-item" title=${pageUrl}>
+              <span class="page-path">${this.getPagePath(pageUrl)}</span>
+            </li>
+          `)}
+        </ul>
+      </div>
+    `;
+  }
+
+  renderMediaChecks() {
+    if (this.isScanning || !this.scanProgress?.media) return '';
+
+    if (this.mediaCheckProgress) {
+      const { label, checked, total } = this.mediaCheckProgress;
+      return html`
+        <div class="index-panel link-check">
+          <div class="index-message">
+            ${label} ${this.formatNumber(checked)}/${this.formatNumber(total)}
+          </div>
+        </div>
+      `;
+    }
+
+    const pages = this.brokenMediaReport || [];
+    const brokenCount = pages.reduce((count, page) => count + page.media.length, 0);
+
+    return html`
+      <div class="index-panel link-check">
+        ${pages.length > 0 ? html`
+          <div class="index-message">
+            ${this.formatNumber(brokenCount)} broken media on
+            ${this.formatNumber(pages.length)} ${pages.length === 1 ? 'page' : 'pages'}
+          </div>
+          <ul class="failure-list">
+            ${pages.map((page) => html`
+              <li class="failure-item" title=${this.getBrokenMediaTitle(page)}>
+                <span class="page-path">${this.getPagePath(page.doc)}</span>
+                <span class="count">${this.formatNumber(page.media.length)}</span>
+              </li>
+            `)}
+          </ul>
+        ` : ''}
+        ${this.renderMediaWeight()}
+        ${this.potentialSavings > 0 ? html`
+          <div class="index-message">
+            WebP could save ${formatFileSize(this.potentialSavings)}
+          </div>
+        ` : ''}
+        <div class="check-actions">
+          <button class="retry-btn" @click=${this.handleCheckLinks}>
+            Check media links
+          </button>
+          <button class="retry-btn" @click=${this.handleFindDuplicates}>
+            Find duplicates
+          </button>
+          <button class="retry-btn" @click=${this.handleMeasureSizes}>
+            Measure sizes
+          </button>
+          <button class="retry-btn" @click=${this.handleAuditFormats}>
+            Audit formats
+          </button>
+          <button class="retry-btn" @click=${this.handleAuditMetadata}>
+            Audit metadata
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderMediaWeight() {
+    const pages = (this.mediaWeightReport || []).slice(0, MEDIA_WEIGHT_PAGE_LIMIT);
+    if (pages.length === 0) return '';
+
+    return html`
+      <div class="index-message">Heaviest pages</div>
+      <ul class="failure-list">
+        ${pages.map((page) => html`
+          <li class="failure-item" title=${this.getMediaWeightTitle(page)}>
+            <span class="page-path">${this.getPagePath(page.doc)}</span>
+            <span class="count">${formatFileSize(page.totalBytes)}</span>
+          </li>
+        `)}
+      </ul>
+    `;
+  }
+
+  getMediaWeightTitle(page) {
+    const unmeasured = page.unmeasuredCount > 0 ? `, ${page.unmeasuredCount} not measured` : '';
+    return `${page.doc}\n${page.mediaCount} media${unmeasured}`;
+  }
+
+  getBrokenMediaTitle(page) {
+    return page.media.map((media) => `${media.status} ${media.url}`).join('\n');
+  }
+
+  getPagePath(pageUrl) {
+    try {
+      return new URL(pageUrl).pathname;
+    } catch (error) {
+      return pageUrl;
+    }
+  }
+
+  handleCheckLinks() {
+    this.dispatchEvent(new CustomEvent('checkLinks', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  handleFindDuplicates() {
+    this.dispatchEvent(new CustomEvent('findDuplicates', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  handleMeasureSizes() {
+    this.dispatchEvent(new CustomEvent('measureSizes', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  handleAuditFormats() {
+    this.dispatchEvent(new CustomEvent('auditFormats', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  handleAuditMetadata() {
+    this.dispatchEvent(new CustomEvent('auditMetadata', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
+  handleRetryFailed() {
+    this.dispatchEvent(new CustomEvent('retryFailed', {
+      bubbles: true,
+      composed: true,
+    }));
+  }
+
   render() {
     const counts = this.filterCounts || {};
     logger.debug('Sidebar render - filterCounts:', counts);
@@ -163,9 +374,11 @@ class MediaSidebar extends LitElement {
                 ${this.renderFilterItem('all', counts.all)}
                 ${this.renderFilterItem('images', counts.images)}
                 ${this.renderFilterItem('videos', counts.videos)}
+                ${this.renderFilterItem('audio', counts.audio)}
                 ${this.renderFilterItem('documents', counts.documents)}
                 ${this.renderFilterItem('links', counts.links)}
                 ${this.renderFilterItem('icons', counts.icons, 'SVGs')}
+                ${this.renderFilterItem('backgrounds', counts.backgrounds)}
                 ${this.renderFilterItem('unused', counts.unused)}
               </ul>
             </div>
@@ -177,6 +390,73 @@ class MediaSidebar extends LitElement {
                   ${this.renderFilterItem('filled', counts.filled)}
                   ${this.renderFilterItem('decorative', counts.decorative)}
                   ${this.renderFilterItem('empty', counts.empty)}
+                  ${ALT_ISSUE_FILTERS.map((type) => this.renderFilterItem(type, counts[type]))}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${(counts.socialImage > 0 || counts.siteIcons > 0 || counts.structuredData > 0
+              || counts.noShareImage > 0) ? html`
+              <div class="filter-section">
+                <h3>Metadata</h3>
+                <ul class="filter-list">
+                  ${this.renderFilterItem('socialImage', counts.socialImage)}
+                  ${this.renderFilterItem('ogImage', counts.ogImage)}
+                  ${this.renderFilterItem('siteIcons', counts.siteIcons)}
+                  ${this.renderFilterItem('structuredData', counts.structuredData)}
+                  ${this.renderFilterItem('noShareImage', counts.noShareImage)}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${(counts.lcpCandidate > 0 || counts.aboveFold > 0 || counts.belowFold > 0) ? html`
+              <div class="filter-section">
+                <h3>Performance</h3>
+                <ul class="filter-list">
+                  ${this.renderFilterItem('lcpCandidate', counts.lcpCandidate)}
+                  ${this.renderFilterItem('aboveFold', counts.aboveFold)}
+                  ${this.renderFilterItem('belowFold', counts.belowFold)}
+                  ${this.renderFilterItem('lazyLoading', counts.lazyLoading)}
+                  ${this.renderFilterItem('noLazyLoading', counts.noLazyLoading)}
+                  ${this.renderFilterItem('hasSrcset', counts.hasSrcset)}
+                  ${this.renderFilterItem('noSrcset', counts.noSrcset)}
+                  ${this.renderFilterItem('oversized', counts.oversized)}
+                  ${this.renderFilterItem('undersized', counts.undersized)}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${QUALITY_FILTERS.some((type) => counts[type] > 0) ? html`
+              <div class="filter-section">
+                <h3>Quality</h3>
+                <ul class="filter-list">
+                  ${this.renderFilterItem('broken', counts.broken)}
+                  ${this.renderFilterItem('404-media', counts['404-media'])}
+                  ${this.renderFilterItem('duplicates', counts.duplicates)}
+                  ${this.renderFilterItem('nearDuplicates', counts.nearDuplicates)}
+                  ${this.renderFilterItem('heavy', counts.heavy)}
+                  ${this.renderFilterItem('metadataLeak', counts.metadataLeak)}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${CATEGORY_FILTERS.some((type) => counts[type] > 0) ? html`
+              <div class="filter-section">
+                <h3>Categories</h3>
+                <ul class="filter-list">
+                  ${CATEGORY_FILTERS.map((type) => this.renderFilterItem(type, counts[type]))}
+                </ul>
+              </div>
+            ` : ''}
+
+            ${['legacyFormat', 'modernFormat'].some((type) => counts[type] > 0) ? html`
+              <div class="filter-section">
+                <h3>Format</h3>
+                <ul class="filter-list">
+                  ${this.renderFilterItem('legacyFormat', counts.legacyFormat)}
+                  ${this.renderFilterItem('modernFormat', counts.modernFormat)}
+                  ${this.renderFilterItem('needsOptimization', counts.needsOptimization)}
+                  ${this.renderFilterItem('fullyOptimized', counts.fullyOptimized)}
                 </ul>
               </div>
             ` : ''}
@@ -198,7 +478,12 @@ class MediaSidebar extends LitElement {
           ${this.renderIconButton('refresh', 'Status', this.isIndexExpanded, this.handleIndexToggle.bind(this))}
         </div>
 
-        ${this.isIndexExpanded ? this.renderIndexPanel() : ''}
+        ${this.isIndexExpanded ? html`
+          ${this.renderIndexPanel()}
+          ${this.renderScanFailures()}
+          ${this.renderMissingShareImages()}
+          ${this.renderMediaChecks()}
+        ` : ''}
       </aside>
     `;
   }
@@ -213,12 +498,21 @@ class MediaSidebar extends LitElement {
       'all': 'All Media',
       'images': 'Images',
       'videos': 'Videos',
+      'audio': 'Audio',
       'documents': 'Documents',
       'links': 'Links',
       'icons': 'SVGs',
+      'backgrounds': 'Backgrounds',
       'empty': 'Empty',
       'decorative': 'Decorative',
       'filled': 'Filled',
+      'altIssues': 'Alt Text Issues',
+      'altFilename': 'Alt Is File Name',
+      'altDecorativeLink': 'Decorative In Link',
+      'altRedundantPrefix': 'Alt Starts "Image Of"',
+      'altTooLong': 'Alt Too Long',
+      'altMatchesCaption': 'Alt Repeats Caption',
+      'altShared': 'Alt Reused',
       'unused': 'Unused',
       'landscape': 'Landscape',
       'portrait': 'Portrait',
@@ -229,6 +523,8 @@ class MediaSidebar extends LitElement {
       'needsOptimization': 'Needs Optimization',
       'fullyOptimized': 'Fully Optimized',
       'noSrcset': 'No Srcset',
+      'oversized': 'Oversized',
+      'undersized': 'Undersized',
       'hasSrcset': 'Has Srcset',
       'legacyFormat': 'Legacy Format',
       'modernFormat': 'Modern Format',
@@ -236,11 +532,19 @@ class MediaSidebar extends LitElement {
       'lazyLoading': 'Lazy Loading',
       'socialImage': 'Social Images',
       'ogImage': 'OG Images',
+      'siteIcons': 'Site Icons',
+      'structuredData': 'Structured Data',
+      'noShareImage': 'No Share Image',
       'performanceIssue': 'Performance Issues',
       'screenshots': 'Graphics & UI',
       'logos': 'Logos',
       'people-photos': 'People',
       'products': 'Products',
+      'broken': 'Broken',
+      'duplicates': 'Duplicates',
+      'nearDuplicates': 'Near Duplicates',
+      'heavy': `Heavy (> ${HEAVY_MEDIA_KB} KB)`,
+      'metadataLeak': 'Metadata Leak',
       '404-media': '404 Media',
     };
     return labels[filterType] || filterType;
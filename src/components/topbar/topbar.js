@@ -10,6 +10,7 @@ class MediaTopbar extends LitElement {
     searchQuery: { type: String },
     mediaData: { type: Array },
     resultSummary: { type: String },
+    sortOrder: { type: String },
     _suggestions: { state: true },
     _activeIndex: { state: true },
     _originalQuery: { state: true },
@@ -23,6 +24,7 @@ class MediaTopbar extends LitElement {
     this.searchQuery = '';
     this.mediaData = [];
     this.resultSummary = '';
+    this.sortOrder = 'default';
     this._suggestions = [];
     this._activeIndex = -1;
     this._originalQuery = '';
@@ -133,6 +135,17 @@ class MediaTopbar extends LitElement {
           ` : ''}
         </div>
 
+        <select
+          class="sort-select"
+          aria-label="Sort"
+          .value=${this.sortOrder}
+          @change=${this.handleSortChange}
+        >
+          <option value="default">Default order</option>
+          <option value="size">Largest files</option>
+          <option value="savings">Potential savings</option>
+        </select>
+
         ${this.resultSummary ? html`
           <div class="result-summary">
             ${this.resultSummary}
@@ -142,6 +155,10 @@ class MediaTopbar extends LitElement {
     `;
   }
 
+  handleSortChange(e) {
+    this.dispatchEvent(new CustomEvent('sort', { detail: { order: e.target.value } }));
+  }
+
   getOnDemandSearchSuggestions(query) {
     return generateSearchSuggestions(this.mediaData, query, createSearchSuggestion);
   }
@@ -4,6 +4,13 @@ export { default as MediaLibrary } from './components/media-library.js';
 
 export { default as BrowserStorage, createStorage } from './utils/storage.js';
 export { default as ContentParser } from './utils/parser.js';
+export {
+  registerExtractor,
+  unregisterExtractor,
+  getExtractor,
+  getExtractors,
+  BUILT_IN_EXTRACTOR_NAMES,
+} from './utils/extractors.js';
 export * from './utils/filters.js';
 export * from './utils/utils.js';
 
@@ -0,0 +1,149 @@
+/**
+ * Alt text linting for <img> usages. Each rule flags one kind of unhelpful alt text with
+ * a severity: errors leave screen reader users without the information, warnings make it
+ * noisy or ambiguous.
+ *
+ * The reused-alt rule depends on the whole data set: markSharedAltTexts stores on each
+ * item how many other images use the same alt text, as altSharedCount.
+ */
+
+import { getUsageContext } from './usage-context.js';
+
+// Longer alt text is better written as a caption or surrounding text
+export const ALT_TEXT_MAX_LENGTH = 125;
+
+const REDUNDANT_PREFIX = /^(an? )?(image|picture|photo|photograph|graphic) (of|showing)\b/i;
+const FILE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$/i;
+
+/**
+ * Normalize alt text for comparisons: lowercase, single spaces, no surrounding punctuation
+ * @param {string} text - Alt text or caption
+ * @returns {string} Normalized text
+ */
+export function normalizeAltText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s"'.,:;!?-]+|[\s"'.,:;!?-]+$/g, '');
+}
+
+function getFileStem(url) {
+  const fileName = String(url || '').split(/[?#]/)[0].split('/').pop() || '';
+  try {
+    return decodeURIComponent(fileName).replace(FILE_EXTENSION, '');
+  } catch {
+    return fileName.replace(FILE_EXTENSION, '');
+  }
+}
+
+function isFileNameAlt(item) {
+  const alt = normalizeAltText(item.alt);
+  if (FILE_EXTENSION.test(alt)) return true;
+
+  const words = (text) => text.toLowerCase().replace(/[-_.+\s]+/g, ' ').trim();
+  return words(alt) === words(getFileStem(item.url));
+}
+
+const hasAlt = (item) => typeof item.alt === 'string' && item.alt.trim() !== '';
+
+export const ALT_TEXT_RULES = [
+  {
+    id: 'filename',
+    severity: 'error',
+    message: 'Alt text is the file name',
+    test: (item) => hasAlt(item) && isFileNameAlt(item),
+  },
+  {
+    id: 'decorative-link',
+    severity: 'error',
+    message: 'Decorative image is the content of a link, which then has no accessible name',
+    test: (item) => item.alt === '' && !!getUsageContext(item)?.linkHref,
+  },
+  {
+    id: 'redundant-prefix',
+    severity: 'warning',
+    message: 'Alt text starts with "image of"; screen readers already announce an image',
+    test: (item) => hasAlt(item) && REDUNDANT_PREFIX.test(item.alt.trim()),
+  },
+  {
+    id: 'too-long',
+    severity: 'warning',
+    message: `Alt text is longer than ${ALT_TEXT_MAX_LENGTH} characters`,
+    test: (item) => hasAlt(item) && item.alt.trim().length > ALT_TEXT_MAX_LENGTH,
+  },
+  {
+    id: 'matches-caption',
+    severity: 'warning',
+    message: 'Alt text repeats the caption, so screen readers read it twice',
+    test: (item) => hasAlt(item) && !!getUsageContext(item)?.figcaption
+      && normalizeAltText(item.alt) === normalizeAltText(getUsageContext(item).figcaption),
+  },
+  {
+    id: 'shared',
+    severity: 'warning',
+    message: 'The same alt text describes other images',
+    test: (item) => hasAlt(item) && item.altSharedCount > 0,
+  },
+];
+
+/**
+ * Group image URLs (without query or fragment) by normalized alt text
+ * @param {Array} mediaData - Media items
+ * @returns {Map<string, Set<string>>} Normalized alt text to the image URLs using it
+ */
+export function getSharedAltTexts(mediaData) {
+  const urlsByAlt = new Map();
+  (mediaData || []).forEach((item) => {
+    if (!item.type?.startsWith('img >') || !hasAlt(item)) return;
+
+    const alt = normalizeAltText(item.alt);
+    if (!urlsByAlt.has(alt)) {
+      urlsByAlt.set(alt, new Set());
+    }
+    urlsByAlt.get(alt).add(String(item.url || '').split(/[?#]/)[0]);
+  });
+  return urlsByAlt;
+}
+
+/**
+ * Store on each image how many other images share its alt text, in place
+ * @param {Array} mediaData - Media items
+ * @returns {Array} The same array
+ */
+export function markSharedAltTexts(mediaData) {
+  const urlsByAlt = getSharedAltTexts(mediaData);
+  (mediaData || []).forEach((item) => {
+    const urls = hasAlt(item) ? urlsByAlt.get(normalizeAltText(item.alt)) : null;
+    if (urls?.size > 1) {
+      item.altSharedCount = urls.size - 1;
+    } else if (item.altSharedCount) {
+      delete item.altSharedCount;
+    }
+  });
+  return mediaData;
+}
+
+/**
+ * Lint the alt text of one <img> usage
+ * @param {Object} item - Media item, with altSharedCount from markSharedAltTexts
+ * @returns {Array<{rule: string, severity: string, message: string}>} Issues, errors first
+ */
+export function lintAltText(item) {
+  if (!item?.type?.startsWith('img >')) return [];
+
+  return ALT_TEXT_RULES
+    .filter((rule) => rule.test(item))
+    .map(({ id, severity, message }) => ({ rule: id, severity, message }));
+}
+
+/**
+ * Check one alt text rule
+ * @param {Object} item - Media item
+ * @param {string} ruleId - Rule id from ALT_TEXT_RULES
+ * @returns {boolean} Whether the rule flags the item
+ */
+export function hasAltTextIssue(item, ruleId) {
+  if (!item?.type?.startsWith('img >')) return false;
+
+  return !!ALT_TEXT_RULES.find((rule) => rule.id === ruleId)?.test(item);
+}
@@ -0,0 +1,161 @@
+/**
+ * Smart categorization of images (screenshots, logos, people, products) from a pattern
+ * file such as the default src/data/category-patterns.json.
+ *
+ * Each category lists keywords matched against the file name, the usage context, the alt
+ * text and the position on the page, negative indicators that count against it, dimension
+ * rules and score thresholds for high, medium and low confidence. An image gets the
+ * category with the highest score that reaches that category's low threshold.
+ */
+
+import { getUsageContext, getContextSearchText } from './usage-context.js';
+
+// Points per matched keyword, by where it matched
+const KEYWORD_WEIGHTS = {
+  filename: 3,
+  alt: 2,
+  context: 1,
+  position: 1,
+};
+const DIMENSION_MATCH_SCORE = 1;
+const DIMENSION_MISMATCH_SCORE = -2;
+
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+/**
+ * Fetch and check a category pattern file
+ * @param {string} url - URL of the pattern file
+ * @returns {Promise<Object>} Patterns with a categories object
+ */
+export async function loadCategoryPatterns(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load category patterns: ${response.status}`);
+  }
+
+  const patterns = await response.json();
+  if (!patterns || typeof patterns.categories !== 'object') {
+    throw new Error('Category patterns have no categories');
+  }
+  return patterns;
+}
+
+// Lowercase words separated by single spaces and padded, so keywords match whole words
+function normalizeText(text) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return words ? ` ${words} ` : '';
+}
+
+function countKeywordMatches(text, keywords, field) {
+  if (!text || !Array.isArray(keywords)) return 0;
+
+  return keywords.filter((keyword) => {
+    const value = String(keyword).toLowerCase();
+    // File name keywords are prefixes such as "logo-"; the rest are whole words or phrases
+    if (field === 'filename') return text.includes(value);
+
+    const phrase = normalizeText(value);
+    return phrase && text.includes(phrase);
+  }).length;
+}
+
+function getFileName(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop() || '').toLowerCase();
+  } catch {
+    return String(url || '').split(/[?#]/)[0].split('/').pop().toLowerCase();
+  }
+}
+
+function getPositionText(item) {
+  const context = getUsageContext(item) || {};
+  const fold = { true: 'above-fold', false: 'below-fold' }[item.aboveFold];
+  return normalizeText([context.section, context.block, context.container, fold].join(' '));
+}
+
+function getSearchTexts(item) {
+  return {
+    filename: getFileName(item.url),
+    alt: normalizeText(item.alt),
+    context: normalizeText(getContextSearchText(item)),
+    position: getPositionText(item),
+  };
+}
+
+function scoreDimensions(item, rules) {
+  const { width, height } = item;
+  if (!rules || !(width > 0) || !(height > 0)) return 0;
+
+  const pixels = width * height;
+  const aspectRatio = width / height;
+  const fits = (rules.minPixels === undefined || pixels >= rules.minPixels)
+    && (rules.maxPixels === undefined || pixels <= rules.maxPixels)
+    && (rules.minAspectRatio === undefined || aspectRatio >= rules.minAspectRatio)
+    && (rules.maxAspectRatio === undefined || aspectRatio <= rules.maxAspectRatio);
+  return fits ? DIMENSION_MATCH_SCORE : DIMENSION_MISMATCH_SCORE;
+}
+
+function hasKeywords(category) {
+  return Object.values(category.keywords || {}).some((keywords) => keywords?.length > 0);
+}
+
+/**
+ * Score an image against every category of a pattern file
+ * @param {Object} item - Media item
+ * @param {Object} patterns - Pattern file contents
+ * @returns {Object|null} category, confidence (high|medium|low) and score of the best
+ *   category, or null when no category reaches its low threshold
+ */
+export function categorizeMedia(item, patterns) {
+  if (!item?.url || !patterns?.categories || !/^(img|background|meta) >/.test(item.type || '')) {
+    return null;
+  }
+
+  const texts = getSearchTexts(item);
+  const defaultThresholds = patterns.confidence?.thresholds || {};
+  let best = null;
+
+  Object.entries(patterns.categories).forEach(([name, category]) => {
+    if (!hasKeywords(category)) return;
+
+    let score = scoreDimensions(item, category.dimensions);
+    Object.entries(KEYWORD_WEIGHTS).forEach(([field, weight]) => {
+      score += weight * countKeywordMatches(texts[field], category.keywords?.[field], field);
+      score -= weight * countKeywordMatches(
+        texts[field],
+        category.negativeIndicators?.[field],
+        field,
+      );
+    });
+
+    const thresholds = { ...defaultThresholds, ...category.confidence };
+    const confidence = CONFIDENCE_LEVELS.find((level) => thresholds[level] !== undefined
+      && score >= thresholds[level]);
+    if (confidence && (!best || score > best.score)) {
+      best = { category: name, confidence, score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Store category and categoryConfidence on media items, in place, and clear them on items
+ * that no longer match a category
+ * @param {Array} mediaData - Media items
+ * @param {Object|null} patterns - Pattern file contents; null clears all categories
+ * @returns {Array} The same array
+ */
+export function categorizeMediaItems(mediaData, patterns) {
+  (mediaData || []).forEach((item) => {
+    const result = patterns ? categorizeMedia(item, patterns) : null;
+    if (result) {
+      item.category = result.category;
+      item.categoryConfidence = result.confidence;
+    } else if (item.category) {
+      delete item.category;
+      delete item.categoryConfidence;
+    }
+  });
+  return mediaData;
+}
@@ -0,0 +1,173 @@
+/**
+ * Media extractor registry
+ *
+ * An extractor declares the selectors it reads and an extract function that turns the
+ * matching elements of a page into media items. ContentParser runs the enabled extractors
+ * in registration order, so built-in media keep their order.
+ *
+ * extract(elements, context) receives the matching elements in document order and a
+ * context of { doc, page, timestamp, signal, parser, createItem }. It returns (or resolves
+ * to) an array of media items. createItem(element, src, { type, alt, ...extra }) builds a
+ * complete item the same way the built-in extractors do, hashed by its resolved URL, page,
+ * alt text and occurrence on the page, and returns null for sources that are not media
+ * files.
+ *
+ * Extractors with selectors are skipped on pages where none of them match; extractors
+ * without selectors always run and read the document from context.doc.
+ */
+
+const registry = new Map();
+
+/**
+ * Check an extractor definition and fill in defaults
+ * @param {Object} extractor - Extractor definition
+ * @returns {Object} Normalized extractor
+ */
+export function normalizeExtractor(extractor) {
+  if (!extractor || typeof extractor.name !== 'string' || !extractor.name.trim()) {
+    throw new Error('Extractor must have a name');
+  }
+  if (typeof extractor.extract !== 'function') {
+    throw new Error(`Extractor "${extractor.name}" must have an extract function`);
+  }
+
+  const { selectors = [] } = extractor;
+  return {
+    ...extractor,
+    selectors: Array.isArray(selectors) ? selectors : [selectors],
+  };
+}
+
+/**
+ * Register an extractor for all media libraries on the page. Registering a name
+ * that already exists replaces that extractor in place.
+ * @param {Object} extractor - Extractor with name, selectors and extract(elements, context)
+ */
+export function registerExtractor(extractor) {
+  const normalized = normalizeExtractor(extractor);
+  registry.set(normalized.name, normalized);
+}
+
+/**
+ * Remove a registered extractor, including built-in ones
+ * @param {string} name - Extractor name
+ * @returns {boolean} True if an extractor was removed
+ */
+export function unregisterExtractor(name) {
+  return registry.delete(name);
+}
+
+/**
+ * Get a registered extractor by name
+ * @param {string} name - Extractor name
+ * @returns {Object|null} Extractor definition
+ */
+export function getExtractor(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * Get all registered extractors in registration order
+ * @returns {Array<Object>} Extractor definitions
+ */
+export function getExtractors() {
+  return [...registry.values()];
+}
+
+const BUILT_IN_EXTRACTORS = [
+  {
+    name: 'img',
+    selectors: ['img'],
+    extract: (elements, context) => context.parser.extractImages(elements, context),
+  },
+  {
+    name: 'background',
+    selectors: ['[style*="url("]', 'style', 'link[rel~="stylesheet"][href]'],
+    extract: (elements, context) => context.parser.extractBackgroundImages(
+      context.doc,
+      context.page,
+      context.timestamp,
+      context.signal,
+    ),
+  },
+  {
+    name: 'metadata',
+    selectors: [
+      'meta[property^="og:image"]',
+      'meta[name^="twitter:image"]',
+      'meta[property^="twitter:image"]',
+      'link[rel~="icon"][href]',
+      'link[rel^="apple-touch-icon"][href]',
+      'link[rel="mask-icon"][href]',
+      'link[rel="manifest"][href]',
+      'script[type="application/ld+json"]',
+    ],
+    extract: async (elements, context) => {
+      const { items } = await context.parser.extractMetadataImages(
+        context.doc,
+        context.page,
+        context.timestamp,
+        context.signal,
+      );
+      return items;
+    },
+  },
+  {
+    name: 'video',
+    selectors: ['video'],
+    extract: (elements, { createItem }) => elements
+      .map((video) => createItem(video, video.getAttribute('src'), { type: 'video' })),
+  },
+  {
+    name: 'embed',
+    selectors: ['iframe', 'lite-youtube', 'lite-vimeo', '[class*="wistia_async_"]'],
+    extract: (elements, context) => context.parser.extractEmbeddedVideos(
+      context.doc,
+      context.page,
+      context.timestamp,
+    ),
+  },
+  {
+    name: 'video-source',
+    selectors: ['video source'],
+    extract: (elements, { createItem }) => elements
+      .map((source) => createItem(source, source.getAttribute('src'), { type: 'video-source' })),
+  },
+  {
+    name: 'audio',
+    selectors: ['audio'],
+    extract: (elements, context) => context.parser.extractAudio(
+      context.doc,
+      context.page,
+      context.timestamp,
+    ),
+  },
+  {
+    name: 'link',
+    selectors: ['a[href]'],
+    extract: (elements, { createItem }) => elements.map((link) => createItem(
+      link,
+      link.getAttribute('href'),
+      { type: 'link', alt: link.textContent || '' },
+    )),
+  },
+];
+
+export const BUILT_IN_EXTRACTOR_NAMES = BUILT_IN_EXTRACTORS.map((extractor) => extractor.name);
+
+const builtInExtractors = new Set();
+
+BUILT_IN_EXTRACTORS.forEach((extractor) => {
+  registerExtractor(extractor);
+  builtInExtractors.add(getExtractor(extractor.name));
+});
+
+/**
+ * Check whether an extractor is an unmodified built-in one. Only those are available to
+ * the scan worker, since extract functions cannot be posted to it.
+ * @param {Object} extractor - Extractor definition
+ * @returns {boolean} True for built-in extractors
+ */
+export function isBuiltInExtractor(extractor) {
+  return builtInExtractors.has(extractor);
+}
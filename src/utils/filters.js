@@ -1,4 +1,13 @@
 // import { normalizeUrl, urlsMatch } from './utils.js'; // Unused imports
+import { getUsageContext, getContextSearchText } from './usage-context.js';
+import { getSizeAnalysis } from './image-sizing.js';
+import { lintAltText, hasAltTextIssue, markSharedAltTexts } from './alt-text-lint.js';
+import {
+  getFormatFromContentType,
+  getFormatFromExtension,
+  LEGACY_IMAGE_FORMATS,
+  MODERN_IMAGE_FORMATS,
+} from './utils.js';
 
 function extractFileExtension(filePath) {
   return filePath?.split('.').pop()?.toLowerCase();
@@ -19,11 +28,40 @@ export function getGroupingKey(url) {
   }
 }
 
+/**
+ * Add scanned items to a progressive index of grouping key to usage count, so each
+ * media shows once while a scan is running
+ * @param {Map<string, number>} index - Grouping key to usage count, updated in place
+ * @param {Array} items - Media items of the pages scanned since the last update
+ * @returns {{newItems: Array, usageCounts: Array<[string, number]>}} Items seen for the
+ *   first time, and the updated usage counts of media that were already indexed
+ */
+export function updateProgressiveIndex(index, items) {
+  const newItems = [];
+  const usageCounts = new Map();
+
+  items.forEach((item) => {
+    if (!item.url) return;
+
+    const groupingKey = getGroupingKey(item.url);
+    if (index.has(groupingKey)) {
+      const usageCount = index.get(groupingKey) + 1;
+      index.set(groupingKey, usageCount);
+      usageCounts.set(groupingKey, usageCount);
+    } else {
+      index.set(groupingKey, 1);
+      newItems.push({ ...item, usageCount: 1 });
+    }
+  });
+
+  return { newItems, usageCounts: [...usageCounts] };
+}
+
 function detectMediaTypeFromExtension(ext) {
   const imageExtensions = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'avif'];
   const videoExtensions = ['mp4', 'webm', 'mov', 'avi'];
   const documentExtensions = ['pdf'];
-  const audioExtensions = ['mp3', 'wav'];
+  const audioExtensions = ['mp3', 'wav', 'ogg', 'aac', 'flac', 'm4a'];
 
   if (imageExtensions.includes(ext)) return 'image';
   if (videoExtensions.includes(ext)) return 'video';
@@ -35,7 +73,11 @@ function detectMediaTypeFromExtension(ext) {
 function getMediaType(media) {
   const type = media.type || '';
   if (type.startsWith('img >')) return 'image';
+  if (type.startsWith('background >')) return 'image';
+  if (type.startsWith('meta >')) return 'image';
   if (type.startsWith('video >')) return 'video';
+  if (type.startsWith('audio >')) return 'audio';
+  if (type.startsWith('audio-source >')) return 'audio';
   if (type.startsWith('document >')) return 'document';
   if (type.startsWith('link >')) return 'link';
 
@@ -49,12 +91,58 @@ function isSvgFile(media) {
   return type === 'img > svg' || type === 'link > svg';
 }
 
+function matchesRenditionUrl(item, value) {
+  if (!item.renditions || item.renditions.length === 0) return false;
+  return item.renditions.some((rendition) => rendition.url
+    && rendition.url.toLowerCase().includes(value));
+}
+
+function isContentImage(item) {
+  return item.type?.startsWith('img >') && !item.type?.includes('svg');
+}
+
+// Loading attributes are only recorded for <img> usages scanned since they were introduced
+function hasLoadingData(item) {
+  return isContentImage(item) && typeof item.domOrder === 'number';
+}
+
+// Media files larger than this are flagged by the Heavy filter
+export const HEAVY_MEDIA_KB = 200;
+
+// Re-encoding savings below this are not worth flagging as Needs Optimization
+export const MIN_OPTIMIZATION_SAVINGS_KB = 10;
+
+/**
+ * Format a raster image is served in: the audited content type when known, then the
+ * content type seen by the link check, then the URL's extension
+ * @param {Object} item - Media item
+ * @returns {string|null} Format such as jpeg, png or webp; null for non-raster media
+ */
+export function getImageFormat(item) {
+  if (getMediaType(item) !== 'image' || isSvgFile(item)) return null;
+
+  return item.formatAudit?.format
+    || getFormatFromContentType(item.linkCheck?.contentType)
+    || getFormatFromExtension(extractFileExtension((item.url || '').split(/[?#]/)[0]));
+}
+
+function needsOptimization(item) {
+  return item.formatAudit?.potentialSavings >= MIN_OPTIMIZATION_SAVINGS_KB * 1024;
+}
+
+// Only HTTP errors are conclusive; CORS failures and timeouts say nothing about the media
+function isBrokenMedia(item) {
+  return item.linkCheck?.status >= 400;
+}
+
 export const FILTER_CONFIG = {
   images: (item) => getMediaType(item) === 'image' && !isSvgFile(item),
   videos: (item) => getMediaType(item) === 'video',
+  audio: (item) => getMediaType(item) === 'audio',
   documents: (item) => getMediaType(item) === 'document',
   links: (item) => getMediaType(item) === 'link',
   icons: (item) => isSvgFile(item),
+  backgrounds: (item) => item.type?.startsWith('background >'),
 
   empty: (item) => item.type?.startsWith('img >') && !item.type?.includes('svg')
     && item.alt === null,
@@ -62,6 +150,13 @@ export const FILTER_CONFIG = {
     && item.alt === '',
   filled: (item) => item.type?.startsWith('img >') && !item.type?.includes('svg')
     && item.alt !== null && item.alt !== '',
+  altIssues: (item) => !item.type?.includes('svg') && lintAltText(item).length > 0,
+  altFilename: (item) => hasAltTextIssue(item, 'filename'),
+  altDecorativeLink: (item) => hasAltTextIssue(item, 'decorative-link'),
+  altRedundantPrefix: (item) => hasAltTextIssue(item, 'redundant-prefix'),
+  altTooLong: (item) => hasAltTextIssue(item, 'too-long'),
+  altMatchesCaption: (item) => hasAltTextIssue(item, 'matches-caption'),
+  altShared: (item) => hasAltTextIssue(item, 'shared'),
   unused: (item) => !item.doc || item.doc.trim() === '',
 
   landscape: (item) => getMediaType(item) === 'image' && !isSvgFile(item)
@@ -71,9 +166,332 @@ export const FILTER_CONFIG = {
   square: (item) => getMediaType(item) === 'image' && !isSvgFile(item)
     && item.orientation === 'square',
 
+  lcpCandidate: (item) => isContentImage(item) && item.lcpCandidate === true,
+  aboveFold: (item) => isContentImage(item) && item.aboveFold === true,
+  belowFold: (item) => isContentImage(item) && item.aboveFold === false,
+  lazyLoading: (item) => hasLoadingData(item) && item.loading === 'lazy',
+  noLazyLoading: (item) => hasLoadingData(item) && item.loading !== 'lazy',
+  hasSrcset: (item) => isContentImage(item) && item.renditions?.length > 0,
+  noSrcset: (item) => isContentImage(item) && Array.isArray(item.renditions)
+    && item.renditions.length === 0,
+  oversized: (item) => getSizeAnalysis(item)?.status === 'oversized',
+  undersized: (item) => getSizeAnalysis(item)?.status === 'undersized',
+
+  socialImage: (item) => item.metaSource === 'og:image' || item.metaSource === 'twitter:image',
+  ogImage: (item) => item.metaSource === 'og:image',
+  siteIcons: (item) => ['icon', 'apple-touch-icon', 'manifest'].includes(item.metaSource),
+  structuredData: (item) => item.metaSource === 'json-ld',
+  noShareImage: (item) => item.hasShareImage === false,
+
+  broken: (item) => isBrokenMedia(item),
+  '404-media': (item) => item.linkCheck?.status === 404 || item.linkCheck?.status === 410,
+  duplicates: (item) => item.contentDuplicateCount > 0,
+  nearDuplicates: (item) => item.nearDuplicateCount > 0,
+  heavy: (item) => item.fileSize > HEAVY_MEDIA_KB * 1024,
+  metadataLeak: (item) => item.metadataAudit?.leaks?.length > 0,
+
+  legacyFormat: (item) => LEGACY_IMAGE_FORMATS.includes(getImageFormat(item)),
+  modernFormat: (item) => MODERN_IMAGE_FORMATS.includes(getImageFormat(item)),
+  needsOptimization: (item) => needsOptimization(item),
+  fullyOptimized: (item) => !!item.formatAudit && !!getImageFormat(item)
+    && !needsOptimization(item),
+
+  screenshots: (item) => item.category === 'screenshots',
+  logos: (item) => item.category === 'logos',
+  'people-photos': (item) => item.category === 'people-photos',
+  products: (item) => item.category === 'products',
+
   all: (item) => !isSvgFile(item),
 };
 
+/**
+ * Group broken media by the page that uses it
+ * @param {Array} mediaData - Media items with link check results
+ * @returns {Array<{doc: string, media: Array}>} Pages with their broken media (url, name,
+ *   status), most broken media first
+ */
+export function getBrokenMediaByPage(mediaData) {
+  if (!mediaData || mediaData.length === 0) return [];
+
+  const pages = new Map();
+  mediaData.forEach((item) => {
+    if (!item.doc || !isBrokenMedia(item)) return;
+
+    if (!pages.has(item.doc)) {
+      pages.set(item.doc, new Map());
+    }
+    pages.get(item.doc).set(item.url, {
+      url: item.url,
+      name: item.name,
+      status: item.linkCheck.status,
+    });
+  });
+
+  return Array.from(pages, ([doc, media]) => ({ doc, media: Array.from(media.values()) }))
+    .sort((a, b) => b.media.length - a.media.length);
+}
+
+/**
+ * Total the media bytes each page loads, counting every media URL once per page
+ * @param {Array} mediaData - Media items with fileSize from the size pass
+ * @returns {Array<{doc: string, totalBytes: number, mediaCount: number,
+ *   unmeasuredCount: number}>} Pages with measured media, heaviest first
+ */
+export function getMediaWeightByPage(mediaData) {
+  if (!mediaData || mediaData.length === 0) return [];
+
+  const pages = new Map();
+  mediaData.forEach((item) => {
+    if (!item.doc || !item.url) return;
+
+    if (!pages.has(item.doc)) {
+      pages.set(item.doc, new Map());
+    }
+    pages.get(item.doc).set(item.url, item.fileSize);
+  });
+
+  return Array.from(pages, ([doc, sizes]) => {
+    const measured = Array.from(sizes.values()).filter((size) => typeof size === 'number');
+    return {
+      doc,
+      totalBytes: measured.reduce((total, size) => total + size, 0),
+      mediaCount: sizes.size,
+      unmeasuredCount: sizes.size - measured.length,
+    };
+  })
+    .filter((page) => page.mediaCount > page.unmeasuredCount)
+    .sort((a, b) => b.totalBytes - a.totalBytes);
+}
+
+/**
+ * Total bytes a WebP re-encode of the legacy-format images would save, counting every
+ * image URL once
+ * @param {Array} mediaData - Media items with formatAudit from the format audit
+ * @returns {number} Estimated savings in bytes
+ */
+export function getPotentialSavingsTotal(mediaData) {
+  const savingsByUrl = new Map();
+  (mediaData || []).forEach((item) => {
+    if (item.url && item.formatAudit?.potentialSavings > 0) {
+      savingsByUrl.set(item.url, item.formatAudit.potentialSavings);
+    }
+  });
+  return Array.from(savingsByUrl.values()).reduce((total, savings) => total + savings, 0);
+}
+
+/**
+ * Group media whose files are byte-identical but served from different URLs
+ * @param {Array} mediaData - Media items with contentHash from the hashing pass
+ * @returns {Map<string, Array<string>>} Content hash to the distinct media URLs (without
+ *   query or fragment) sharing it, only for hashes with more than one URL
+ */
+export function getContentDuplicateGroups(mediaData) {
+  const urlsByHash = new Map();
+  (mediaData || []).forEach((item) => {
+    if (!item.contentHash || !item.url) return;
+
+    if (!urlsByHash.has(item.contentHash)) {
+      urlsByHash.set(item.contentHash, new Set());
+    }
+    urlsByHash.get(item.contentHash).add(getGroupingKey(item.url));
+  });
+
+  const groups = new Map();
+  urlsByHash.forEach((urls, contentHash) => {
+    if (urls.size > 1) {
+      groups.set(contentHash, Array.from(urls));
+    }
+  });
+  return groups;
+}
+
+// Perceptual hashes at most this many bits apart are treated as the same picture
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 10;
+
+// Differing bits between every pair of bytes, so hashes compare byte by byte
+const BYTE_DISTANCES = Uint8Array.from({ length: 256 * 256 }, (value, pair) => {
+  let a = Math.floor(pair / 256);
+  let b = pair % 256;
+  let distance = 0;
+  for (let bit = 0; bit < 8; bit += 1) {
+    distance += (a % 2 === b % 2) ? 0 : 1;
+    a = Math.floor(a / 2);
+    b = Math.floor(b / 2);
+  }
+  return distance;
+});
+
+// dHash values are 64 bits, kept as 8 byte values so comparisons need no string parsing
+function parsePerceptualHash(hash) {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{16}$/i.test(hash)) return null;
+  return Array.from({ length: 8 }, (value, i) => parseInt(hash.slice(i * 2, i * 2 + 2), 16));
+}
+
+function getBytesDistance(bytesA, bytesB) {
+  let distance = 0;
+  for (let i = 0; i < bytesA.length; i += 1) {
+    distance += BYTE_DISTANCES[bytesA[i] * 256 + bytesB[i]];
+  }
+  return distance;
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} hashA - Hex perceptual hash
+ * @param {string} hashB - Hex perceptual hash
+ * @returns {number} Hamming distance, Infinity when the hashes cannot be compared
+ */
+export function hammingDistance(hashA, hashB) {
+  const bytesA = parsePerceptualHash(hashA);
+  const bytesB = parsePerceptualHash(hashB);
+  if (!bytesA || !bytesB) return Infinity;
+
+  return getBytesDistance(bytesA, bytesB);
+}
+
+// One item per media URL, for media with a perceptual hash
+function getPerceptuallyHashedMedia(mediaData) {
+  const mediaByKey = new Map();
+  (mediaData || []).forEach((item) => {
+    if (!item.perceptualHash || !item.url) return;
+    const groupingKey = getGroupingKey(item.url);
+    if (!mediaByKey.has(groupingKey)) {
+      mediaByKey.set(groupingKey, item);
+    }
+  });
+  return Array.from(mediaByKey.values());
+}
+
+/**
+ * Index media by perceptual hash for near-duplicate lookups. Hashes are parsed once and
+ * kept in a BK-tree, so a lookup skips every subtree that cannot be within the threshold
+ * instead of comparing against each image. Build it once per data set and reuse it
+ * across thresholds.
+ * @param {Array} mediaData - Media items with perceptualHash from image analysis
+ * @returns {{media: Array<Object>, hashes: Array<Array<number>>, findWithin: Function}}
+ *   Indexed media (one item per URL), their parsed hashes, and a lookup returning
+ *   {index, distance} for each indexed hash within a threshold of the given one
+ */
+export function createPerceptualHashIndex(mediaData) {
+  const media = [];
+  const hashes = [];
+  let root = null;
+
+  getPerceptuallyHashedMedia(mediaData).forEach((item) => {
+    const bytes = parsePerceptualHash(item.perceptualHash);
+    if (!bytes) return;
+
+    const node = { index: media.length, bytes, children: new Map() };
+    media.push(item);
+    hashes.push(bytes);
+    if (!root) {
+      root = node;
+      return;
+    }
+
+    let parent = root;
+    let distance = getBytesDistance(parent.bytes, bytes);
+    while (parent.children.has(distance)) {
+      parent = parent.children.get(distance);
+      distance = getBytesDistance(parent.bytes, bytes);
+    }
+    parent.children.set(distance, node);
+  });
+
+  const findWithin = (bytes, threshold) => {
+    const matches = [];
+    const pending = root ? [root] : [];
+    while (pending.length > 0) {
+      const node = pending.pop();
+      const distance = getBytesDistance(node.bytes, bytes);
+      if (distance <= threshold) {
+        matches.push({ index: node.index, distance });
+      }
+      node.children.forEach((child, childDistance) => {
+        if (Math.abs(childDistance - distance) <= threshold) {
+          pending.push(child);
+        }
+      });
+    }
+    return matches;
+  };
+
+  return { media, hashes, findWithin };
+}
+
+/**
+ * Group images that look alike, such as re-encoded or resized copies. Groups are
+ * transitive: A and C share a group when both are close to B.
+ * @param {Array} mediaData - Media items with perceptualHash from image analysis
+ * @param {number} threshold - Maximum Hamming distance between similar images
+ * @param {Object} hashIndex - Index from createPerceptualHashIndex for mediaData
+ * @returns {Array<Array<Object>>} Groups of two or more media (one item per URL), largest
+ *   group first
+ */
+export function getNearDuplicateGroups(
+  mediaData,
+  threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  hashIndex = createPerceptualHashIndex(mediaData),
+) {
+  const { media, hashes, findWithin } = hashIndex;
+  const parents = media.map((item, index) => index);
+
+  const findRoot = (index) => {
+    let root = index;
+    while (parents[root] !== root) {
+      root = parents[root];
+    }
+    parents[index] = root;
+    return root;
+  };
+
+  hashes.forEach((bytes, i) => {
+    findWithin(bytes, threshold).forEach(({ index: j }) => {
+      if (j > i) {
+        parents[findRoot(j)] = findRoot(i);
+      }
+    });
+  });
+
+  const groups = new Map();
+  media.forEach((item, index) => {
+    const root = findRoot(index);
+    if (!groups.has(root)) {
+      groups.set(root, []);
+    }
+    groups.get(root).push(item);
+  });
+
+  return Array.from(groups.values())
+    .filter((group) => group.length > 1)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find images that look like the given one
+ * @param {Array} mediaData - Media items with perceptualHash from image analysis
+ * @param {Object} media - Media item to compare against
+ * @param {number} threshold - Maximum Hamming distance between similar images
+ * @param {Object} hashIndex - Index from createPerceptualHashIndex for mediaData
+ * @returns {Array<{media: Object, distance: number}>} Similar media (one item per URL),
+ *   closest first
+ */
+export function findSimilarMedia(
+  mediaData,
+  media,
+  threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  hashIndex = createPerceptualHashIndex(mediaData),
+) {
+  const bytes = parsePerceptualHash(media?.perceptualHash);
+  if (!bytes) return [];
+
+  const mediaKey = getGroupingKey(media.url);
+  return hashIndex.findWithin(bytes, threshold)
+    .map(({ index, distance }) => ({ media: hashIndex.media[index], distance }))
+    .filter((match) => getGroupingKey(match.media.url) !== mediaKey)
+    .sort((a, b) => a.distance - b.distance);
+}
+
 export function applyFilter(data, filterName, selectedDocument) {
   const filterFn = FILTER_CONFIG[filterName];
 
@@ -91,6 +509,15 @@ export function getAvailableFilters() {
   return Object.keys(FILTER_CONFIG);
 }
 
+// Colon search fields that match a usage context field, e.g. "heading:pricing"
+const CONTEXT_SEARCH_FIELDS = {
+  block: 'block',
+  section: 'section',
+  heading: 'heading',
+  caption: 'figcaption',
+  link: 'linkHref',
+};
+
 export function parseColonSyntax(query) {
   if (!query) return null;
 
@@ -146,7 +573,8 @@ function filterByColonSyntax(mediaData, colonSyntax) {
         return altMatch;
       }
       case 'url': {
-        const urlMatch = item.url && item.url.toLowerCase().includes(value);
+        const urlMatch = (item.url && item.url.toLowerCase().includes(value))
+          || matchesRenditionUrl(item, value);
         return urlMatch;
       }
       case 'folder': {
@@ -177,16 +605,20 @@ function filterByColonSyntax(mediaData, colonSyntax) {
         return false;
       }
       case 'perf': {
-        if (!item.ctx) return false;
-
-        const perfMatch = item.ctx.match(/perf:([^>]+)/);
-        if (!perfMatch) return false;
+        const perfTags = getUsageContext(item)?.perf;
+        if (!perfTags || perfTags.length === 0) return false;
 
-        const perfTags = perfMatch[1].split(',').map((tag) => tag.trim().toLowerCase());
-        const searchValue = value.toLowerCase();
-        return perfTags.some((tag) => tag === searchValue
-          || tag.includes(searchValue)
-          || searchValue.includes(tag));
+        return perfTags.some((tag) => tag === value
+          || tag.includes(value)
+          || value.includes(tag));
+      }
+      case 'block':
+      case 'section':
+      case 'heading':
+      case 'caption':
+      case 'link': {
+        const contextValue = getUsageContext(item)?.[CONTEXT_SEARCH_FIELDS[field]];
+        return !!contextValue && contextValue.toLowerCase().includes(value);
       }
       default:
         return false;
@@ -216,7 +648,7 @@ function filterBySearchQuery(mediaData, query) {
       return true;
     }
 
-    if (item.ctx && item.ctx.toLowerCase().includes(lowerQuery)) {
+    if (getContextSearchText(item).includes(lowerQuery)) {
       return true;
     }
 
@@ -224,6 +656,10 @@ function filterBySearchQuery(mediaData, query) {
       return true;
     }
 
+    if (matchesRenditionUrl(item, lowerQuery)) {
+      return true;
+    }
+
     return false;
   });
 }
@@ -405,7 +841,9 @@ export function generateSearchSuggestions(mediaData, query, createSuggestionFn,
           break;
         }
         case 'url': {
-          if (item.url && item.url.toLowerCase().includes(value) && !isSvgFile(item)) {
+          const urlMatch = (item.url && item.url.toLowerCase().includes(value))
+            || matchesRenditionUrl(item, value);
+          if (urlMatch && !isSvgFile(item)) {
             suggestions.push(createSuggestionFn(item));
             if (suggestions.length >= maxResults) break;
           }
@@ -449,6 +887,7 @@ export function generateSearchSuggestions(mediaData, query, createSuggestionFn,
       (item.name && item.name.toLowerCase().includes(q))
         || (item.alt && item.alt.toLowerCase().includes(q))
         || (item.url && item.url.toLowerCase().includes(q))
+        || matchesRenditionUrl(item, q)
     )) {
       suggestions.push(createSuggestionFn(item));
       if (suggestions.length >= maxResults) break;
@@ -493,7 +932,7 @@ export function initializeProcessedData() {
     name: {},
     alt: {},
     doc: {},
-    ctx: {},
+    context: {},
     url: {},
   };
   const filterCounts = {};
@@ -527,6 +966,32 @@ export async function processMediaData(mediaData, onProgress = null) {
   const uniqueMediaUrls = new Set();
   const uniqueNonSvgUrls = new Set();
 
+  // Duplicates and shared alt text depend on the whole data set, so they are counted
+  // before the filters run
+  markSharedAltTexts(mediaData);
+  const duplicateGroups = getContentDuplicateGroups(mediaData);
+  const nearDuplicateCounts = new Map();
+  getNearDuplicateGroups(mediaData).forEach((group) => {
+    group.forEach((item) => nearDuplicateCounts.set(getGroupingKey(item.url), group.length - 1));
+  });
+  mediaData.forEach((item) => {
+    const group = item.contentHash ? duplicateGroups.get(item.contentHash) : null;
+    if (group) {
+      item.contentDuplicateCount = group.length - 1;
+    } else if (item.contentDuplicateCount) {
+      delete item.contentDuplicateCount;
+    }
+
+    const nearDuplicateCount = item.perceptualHash
+      ? nearDuplicateCounts.get(getGroupingKey(item.url))
+      : null;
+    if (nearDuplicateCount) {
+      item.nearDuplicateCount = nearDuplicateCount;
+    } else if (item.nearDuplicateCount) {
+      delete item.nearDuplicateCount;
+    }
+  });
+
   // Use smaller batch size for very large datasets to prevent UI blocking
   const batchSize = mediaData.length > 100000 ? 500 : 1000;
   const batches = chunkArray(mediaData, batchSize);
@@ -579,12 +1044,12 @@ export async function processMediaData(mediaData, onProgress = null) {
         processedData.searchIndex.doc[docKey].push(item.hash);
       }
 
-      if (item.ctx) {
-        const ctxKey = item.ctx.toLowerCase();
-        if (!processedData.searchIndex.ctx[ctxKey]) {
-          processedData.searchIndex.ctx[ctxKey] = [];
+      const contextKey = getContextSearchText(item);
+      if (contextKey) {
+        if (!processedData.searchIndex.context[contextKey]) {
+          processedData.searchIndex.context[contextKey] = [];
         }
-        processedData.searchIndex.ctx[ctxKey].push(item.hash);
+        processedData.searchIndex.context[contextKey].push(item.hash);
       }
 
       if (item.url) {
@@ -595,6 +1060,17 @@ export async function processMediaData(mediaData, onProgress = null) {
         processedData.searchIndex.url[urlKey].push(item.hash);
       }
 
+      (item.renditions || []).forEach((rendition) => {
+        if (!rendition.url) return;
+        const renditionKey = rendition.url.toLowerCase();
+        if (!processedData.searchIndex.url[renditionKey]) {
+          processedData.searchIndex.url[renditionKey] = [];
+        }
+        if (!processedData.searchIndex.url[renditionKey].includes(item.hash)) {
+          processedData.searchIndex.url[renditionKey].push(item.hash);
+        }
+      });
+
       Object.keys(processedData.filterArrays).forEach((filterName) => {
         try {
           if (FILTER_CONFIG[filterName](item)) {
@@ -713,13 +1189,13 @@ function mergeSearchIndex(item, searchIndex) {
     }
   }
 
-  if (item.ctx) {
-    const ctxKey = item.ctx.toLowerCase();
-    if (!searchIndex.ctx[ctxKey]) {
-      searchIndex.ctx[ctxKey] = [];
+  const contextKey = getContextSearchText(item);
+  if (contextKey) {
+    if (!searchIndex.context[contextKey]) {
+      searchIndex.context[contextKey] = [];
     }
-    if (!searchIndex.ctx[ctxKey].includes(item.hash)) {
-      searchIndex.ctx[ctxKey].push(item.hash);
+    if (!searchIndex.context[contextKey].includes(item.hash)) {
+      searchIndex.context[contextKey].push(item.hash);
     }
   }
 
@@ -732,6 +1208,17 @@ function mergeSearchIndex(item, searchIndex) {
       searchIndex.url[urlKey].push(item.hash);
     }
   }
+
+  (item.renditions || []).forEach((rendition) => {
+    if (!rendition.url) return;
+    const renditionKey = rendition.url.toLowerCase();
+    if (!searchIndex.url[renditionKey]) {
+      searchIndex.url[renditionKey] = [];
+    }
+    if (!searchIndex.url[renditionKey].includes(item.hash)) {
+      searchIndex.url[renditionKey].push(item.hash);
+    }
+  });
 }
 
 function mergeFilterArrays(item, filterArrays) {
@@ -0,0 +1,20 @@
+import HtmlNode from './html-node.js';
+import HtmlElement from './html-element.js';
+
+/**
+ * Root of the lightweight document. HTML documents start with html, head and body
+ * elements; XML documents get their documentElement from the first element parsed.
+ */
+export default class HtmlDocument extends HtmlNode {
+  constructor({ xml = false } = {}) {
+    super();
+    this.nodeType = 9;
+    if (xml) {
+      this.documentElement = null;
+      return;
+    }
+    this.documentElement = this.appendChild(new HtmlElement('html'));
+    this.head = this.documentElement.appendChild(new HtmlElement('head'));
+    this.body = this.documentElement.appendChild(new HtmlElement('body'));
+  }
+}
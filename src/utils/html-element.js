@@ -0,0 +1,69 @@
+import HtmlNode from './html-node.js';
+import { parseSelector, matchesComplex } from './html-selector.js';
+
+/**
+ * Element of the lightweight document, with the attribute and selector methods scanning uses
+ */
+export default class HtmlElement extends HtmlNode {
+  constructor(localName, attributes = []) {
+    super();
+    this.nodeType = 1;
+    this.localName = localName;
+    // Like browsers, the first of duplicate attributes wins
+    this.attributeMap = new Map();
+    attributes.forEach(([name, value]) => {
+      if (!this.attributeMap.has(name)) this.attributeMap.set(name, value);
+    });
+  }
+
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  // Unlike the DOM, URL attributes are returned as written rather than resolved
+  get src() {
+    return this.getAttribute('src') || '';
+  }
+
+  get href() {
+    return this.getAttribute('href') || '';
+  }
+
+  getAttribute(name) {
+    const value = this.attributeMap.get(name.toLowerCase());
+    return value === undefined ? null : value;
+  }
+
+  hasAttribute(name) {
+    return this.attributeMap.has(name.toLowerCase());
+  }
+
+  setAttribute(name, value) {
+    this.attributeMap.set(name.toLowerCase(), String(value));
+  }
+
+  matches(selector) {
+    return parseSelector(selector).some((parts) => matchesComplex(this, parts, this));
+  }
+
+  closest(selector) {
+    const complexSelectors = parseSelector(selector);
+    let current = this;
+    while (current?.nodeType === 1) {
+      const element = current;
+      if (complexSelectors.some((parts) => matchesComplex(element, parts, this))) {
+        return element;
+      }
+      current = current.parentNode;
+    }
+    return null;
+  }
+}
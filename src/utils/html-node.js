@@ -0,0 +1,65 @@
+import { parseSelector, matchesComplex } from './html-selector.js';
+
+/**
+ * Node of the lightweight document built by html-tokenizer.js
+ */
+export default class HtmlNode {
+  constructor() {
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode?.nodeType === 1 ? this.parentNode : null;
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === 1);
+  }
+
+  get firstElementChild() {
+    return this.childNodes.find((node) => node.nodeType === 1) || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  appendChild(node) {
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  contains(node) {
+    let current = node;
+    while (current) {
+      if (current === this) return true;
+      current = current.parentNode;
+    }
+    return false;
+  }
+
+  querySelectorAll(selector) {
+    const complexSelectors = parseSelector(selector);
+    const scope = this.nodeType === 9 ? this.documentElement : this;
+    const results = [];
+
+    const visit = (node) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType !== 1) return;
+        if (complexSelectors.some((parts) => matchesComplex(child, parts, scope))) {
+          results.push(child);
+        }
+        visit(child);
+      });
+    };
+    visit(this);
+
+    return results;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
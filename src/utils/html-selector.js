@@ -0,0 +1,236 @@
+/**
+ * CSS selector parsing and matching for the lightweight document of html-tokenizer.js
+ */
+
+const selectorCache = new Map();
+
+function createSelectorError(selector) {
+  const error = new Error(`'${selector}' is not a valid selector`);
+  error.name = 'SyntaxError';
+  return error;
+}
+
+/**
+ * Parse a selector list into complex selectors of compounds and combinators. Supports
+ * type, universal, #id, .class, attribute selectors (=, ~=, |=, ^=, $=, *=, with an i flag),
+ * :scope, :not(), :first-child, :last-child and the descendant, >, + and ~ combinators.
+ * @param {string} selector - Selector list
+ * @returns {Array<Array<Object>>} Complex selectors, each a list of { compound, combinator }
+ */
+export function parseSelector(selector) {
+  if (selectorCache.has(selector)) {
+    return selectorCache.get(selector);
+  }
+
+  const identPattern = /(?:\\.|[\w-]|[\u0080-\uffff])+/y;
+  let index = 0;
+
+  const readIdent = () => {
+    identPattern.lastIndex = index;
+    const match = identPattern.exec(selector);
+    if (!match) throw createSelectorError(selector);
+    index = identPattern.lastIndex;
+    return match[0].replace(/\\(.)/g, '$1');
+  };
+
+  const skipWhitespace = () => {
+    const start = index;
+    while (index < selector.length && /\s/.test(selector[index])) index += 1;
+    return index > start;
+  };
+
+  const readCompound = () => {
+    const compound = { tag: null, id: null, classes: [], attributes: [], pseudos: [] };
+    let hasPart = false;
+
+    while (index < selector.length) {
+      const char = selector[index];
+      if (char === '*') {
+        index += 1;
+      } else if (char === '#') {
+        index += 1;
+        compound.id = readIdent();
+      } else if (char === '.') {
+        index += 1;
+        compound.classes.push(readIdent());
+      } else if (char === '[') {
+        index += 1;
+        skipWhitespace();
+        const name = readIdent().toLowerCase();
+        skipWhitespace();
+        let operator = null;
+        let value = null;
+        let caseInsensitive = false;
+        const operatorMatch = /^([~|^$*]?=)/.exec(selector.slice(index));
+        if (operatorMatch) {
+          [operator] = operatorMatch;
+          index += operator.length;
+          skipWhitespace();
+          const quote = selector[index];
+          if (quote === '"' || quote === "'") {
+            const valueEnd = selector.indexOf(quote, index + 1);
+            if (valueEnd === -1) throw createSelectorError(selector);
+            value = selector.slice(index + 1, valueEnd);
+            index = valueEnd + 1;
+          } else {
+            value = readIdent();
+          }
+          skipWhitespace();
+          if (/[iI]/.test(selector[index] || '') && !/[\w-]/.test(selector[index + 1] || '')) {
+            caseInsensitive = true;
+            index += 1;
+            skipWhitespace();
+          }
+        }
+        if (selector[index] !== ']') throw createSelectorError(selector);
+        index += 1;
+        compound.attributes.push({ name, operator, value, caseInsensitive });
+      } else if (char === ':') {
+        index += 1;
+        if (selector[index] === ':') throw createSelectorError(selector);
+        const name = readIdent().toLowerCase();
+        if (name === 'not') {
+          if (selector[index] !== '(') throw createSelectorError(selector);
+          const argumentEnd = selector.indexOf(')', index);
+          if (argumentEnd === -1) throw createSelectorError(selector);
+          const argument = parseSelector(selector.slice(index + 1, argumentEnd));
+          index = argumentEnd + 1;
+          compound.pseudos.push({ name, argument });
+        } else if (['scope', 'first-child', 'last-child'].includes(name)) {
+          compound.pseudos.push({ name });
+        } else {
+          throw createSelectorError(selector);
+        }
+      } else if (/[\w\u0080-\uffff\\-]/.test(char) && !hasPart) {
+        compound.tag = readIdent().toLowerCase();
+      } else {
+        break;
+      }
+      hasPart = true;
+    }
+
+    if (!hasPart) throw createSelectorError(selector);
+    return compound;
+  };
+
+  const complexSelectors = [];
+  let parts = [];
+  let combinator = null;
+  skipWhitespace();
+
+  while (index < selector.length) {
+    parts.push({ compound: readCompound(), combinator });
+    combinator = null;
+
+    const hadWhitespace = skipWhitespace();
+    const char = selector[index];
+    if (char === ',') {
+      complexSelectors.push(parts);
+      parts = [];
+      index += 1;
+      skipWhitespace();
+    } else if (char === '>' || char === '+' || char === '~') {
+      combinator = char;
+      index += 1;
+      skipWhitespace();
+    } else if (index < selector.length) {
+      if (!hadWhitespace) throw createSelectorError(selector);
+      combinator = ' ';
+    }
+  }
+
+  if (parts.length === 0 || combinator) throw createSelectorError(selector);
+  complexSelectors.push(parts);
+
+  selectorCache.set(selector, complexSelectors);
+  return complexSelectors;
+}
+
+function matchesAttribute(element, { name, operator, value, caseInsensitive }) {
+  let actual = element.getAttribute(name);
+  if (actual === null) return false;
+  if (!operator) return true;
+
+  let expected = value;
+  if (caseInsensitive) {
+    actual = actual.toLowerCase();
+    expected = expected.toLowerCase();
+  }
+
+  switch (operator) {
+    case '=': return actual === expected;
+    case '~=': return expected !== '' && actual.split(/\s+/).includes(expected);
+    case '|=': return actual === expected || actual.startsWith(`${expected}-`);
+    case '^=': return expected !== '' && actual.startsWith(expected);
+    case '$=': return expected !== '' && actual.endsWith(expected);
+    case '*=': return expected !== '' && actual.includes(expected);
+    default: return false;
+  }
+}
+
+function matchesCompound(element, compound, scope) {
+  if (compound.tag && element.localName !== compound.tag) return false;
+  if (compound.id && element.getAttribute('id') !== compound.id) return false;
+
+  if (compound.classes.length > 0) {
+    const classes = (element.getAttribute('class') || '').split(/\s+/);
+    if (!compound.classes.every((className) => classes.includes(className))) return false;
+  }
+
+  if (!compound.attributes.every((attribute) => matchesAttribute(element, attribute))) {
+    return false;
+  }
+
+  return compound.pseudos.every((pseudo) => {
+    switch (pseudo.name) {
+      case 'scope': return element === scope;
+      case 'first-child': return element.parentNode?.children[0] === element;
+      case 'last-child': return element.parentNode?.children.at(-1) === element;
+      // Negations need the full selector matcher; matchesComplex checks them
+      case 'not': return true;
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Check an element against one complex selector from parseSelector
+ * @param {Object} element - Element of the lightweight document
+ * @param {Array<Object>} parts - Complex selector, a list of { compound, combinator }
+ * @param {Object} scope - Element that :scope matches
+ * @param {number} partIndex - Compound to match the element against, from the right
+ * @returns {boolean} Whether the element matches
+ */
+export function matchesComplex(element, parts, scope, partIndex = parts.length - 1) {
+  const { compound, combinator } = parts[partIndex];
+  if (!matchesCompound(element, compound, scope)) return false;
+  const isNegated = compound.pseudos.some((pseudo) => pseudo.name === 'not'
+    && pseudo.argument.some((notParts) => matchesComplex(element, notParts, scope)));
+  if (isNegated) return false;
+  if (partIndex === 0) return true;
+
+  const previousIndex = partIndex - 1;
+  const parentElement = (node) => (node.parentNode?.nodeType === 1 ? node.parentNode : null);
+
+  if (combinator === '>') {
+    const parent = parentElement(element);
+    return !!parent && matchesComplex(parent, parts, scope, previousIndex);
+  }
+
+  if (combinator === '+' || combinator === '~') {
+    const siblings = element.parentNode ? element.parentNode.children : [];
+    const position = siblings.indexOf(element);
+    if (combinator === '+') {
+      return position > 0 && matchesComplex(siblings[position - 1], parts, scope, previousIndex);
+    }
+    return siblings.slice(0, position)
+      .some((sibling) => matchesComplex(sibling, parts, scope, previousIndex));
+  }
+
+  let ancestor = parentElement(element);
+  while (ancestor) {
+    if (matchesComplex(ancestor, parts, scope, previousIndex)) return true;
+    ancestor = parentElement(ancestor);
+  }
+  return false;
+}
@@ -0,0 +1,16 @@
+import HtmlNode from './html-node.js';
+
+/**
+ * Text node of the lightweight document
+ */
+export default class HtmlText extends HtmlNode {
+  constructor(text) {
+    super();
+    this.nodeType = 3;
+    this.data = text;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
@@ -0,0 +1,349 @@
+/**
+ * HTML tokenizer and lightweight document tree for environments without DOMParser,
+ * such as Web Workers. The tree implements the part of the DOM that ContentParser and
+ * the extractors use: getAttribute, parentElement, children, textContent, contains,
+ * closest, matches, querySelector and querySelectorAll.
+ *
+ * Parsing is forgiving rather than spec-complete: unknown end tags are ignored, the
+ * common implied end tags (p, li, dt/dd, option, tr, td/th) are handled, and head-only
+ * elements before <body> go into <head>.
+ */
+
+import HtmlText from './html-text.js';
+import HtmlElement from './html-element.js';
+import HtmlDocument from './html-document.js';
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param',
+  'source', 'track', 'wbr',
+]);
+
+// Contents are text up to the matching end tag
+const RAW_TEXT_ELEMENTS = new Set([
+  'script', 'style', 'textarea', 'title', 'xmp', 'iframe', 'noembed', 'noframes',
+]);
+
+const ESCAPABLE_RAW_TEXT_ELEMENTS = new Set(['textarea', 'title']);
+
+const HEAD_ELEMENTS = new Set(['base', 'link', 'meta', 'script', 'style', 'title', 'noscript']);
+
+// Start tags that close an open <p>
+const P_CLOSING_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+  'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+
+// Start tags that close an open sibling of the listed names, up to the given boundaries
+const IMPLIED_END_TAGS = {
+  li: { closes: ['li'], boundaries: ['ul', 'ol'] },
+  dt: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+  dd: { closes: ['dt', 'dd'], boundaries: ['dl'] },
+  option: { closes: ['option'], boundaries: ['select', 'datalist'] },
+  tr: { closes: ['tr', 'td', 'th'], boundaries: ['table', 'tbody', 'thead', 'tfoot'] },
+  td: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], boundaries: ['tr', 'table'] },
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  middot: '·',
+  bull: '•',
+};
+
+/**
+ * Decode character references in text and attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text;
+
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const isHex = entity[1] === 'x' || entity[1] === 'X';
+      const codePoint = parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+      if (!codePoint || codePoint > 0x10ffff) return '�';
+      return String.fromCodePoint(codePoint);
+    }
+    return NAMED_ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Split HTML into start tag, end tag and text tokens. Comments, doctypes and
+ * processing instructions are dropped.
+ * @param {string} html - HTML source
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.xml - Tokenize as XML: CDATA sections are text and no element
+ *   has raw text content
+ * @returns {Array<Object>} Tokens of { type: 'startTag', name, attributes, selfClosing },
+ *   { type: 'endTag', name } or { type: 'text', text }
+ */
+export function tokenizeHtml(html, options = {}) {
+  const { xml = false } = options;
+  const source = html || '';
+  const tokens = [];
+  const tagNamePattern = /[a-zA-Z][^\s/>]*/y;
+  const attributeNamePattern = /[^\s"'>/=]+/y;
+  const unquotedValuePattern = /[^\s>]*/y;
+  let index = 0;
+  let textStart = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) {
+      tokens.push({ type: 'text', text: decodeEntities(source.slice(textStart, end)) });
+    }
+  };
+
+  const skipWhitespace = () => {
+    while (index < source.length && /\s/.test(source[index])) index += 1;
+  };
+
+  while (index < source.length) {
+    const tagStart = source.indexOf('<', index);
+    if (tagStart === -1) break;
+    index = tagStart;
+
+    const next = source[index + 1];
+
+    if (xml && source.startsWith('<![CDATA[', index)) {
+      flushText(index);
+      const cdataEnd = source.indexOf(']]>', index + 9);
+      const end = cdataEnd === -1 ? source.length : cdataEnd;
+      tokens.push({ type: 'text', text: source.slice(index + 9, end) });
+      index = cdataEnd === -1 ? source.length : cdataEnd + 3;
+      textStart = index;
+    } else if (source.startsWith('<!--', index)) {
+      flushText(index);
+      const commentEnd = source.indexOf('-->', index + 4);
+      index = commentEnd === -1 ? source.length : commentEnd + 3;
+      textStart = index;
+    } else if (next === '!' || next === '?') {
+      flushText(index);
+      const declarationEnd = source.indexOf('>', index);
+      index = declarationEnd === -1 ? source.length : declarationEnd + 1;
+      textStart = index;
+    } else if (next === '/' && /[a-zA-Z]/.test(source[index + 2] || '')) {
+      flushText(index);
+      tagNamePattern.lastIndex = index + 2;
+      const [name] = tagNamePattern.exec(source);
+      const tagEnd = source.indexOf('>', index);
+      index = tagEnd === -1 ? source.length : tagEnd + 1;
+      textStart = index;
+      tokens.push({ type: 'endTag', name: name.toLowerCase() });
+    } else if (/[a-zA-Z]/.test(next || '')) {
+      flushText(index);
+      tagNamePattern.lastIndex = index + 1;
+      const name = tagNamePattern.exec(source)[0].toLowerCase();
+      index = tagNamePattern.lastIndex;
+
+      const attributes = [];
+      let selfClosing = false;
+
+      while (index < source.length) {
+        skipWhitespace();
+        if (source[index] === '>') {
+          index += 1;
+          break;
+        }
+        if (source[index] === '/') {
+          selfClosing = source[index + 1] === '>';
+          index += 1;
+        } else {
+          attributeNamePattern.lastIndex = index;
+          const nameMatch = attributeNamePattern.exec(source);
+          // A stray quote or equals sign becomes part of the name, as browsers do
+          const attributeName = nameMatch ? nameMatch[0] : source[index];
+          index = nameMatch ? attributeNamePattern.lastIndex : index + 1;
+
+          let value = '';
+          skipWhitespace();
+          if (source[index] === '=') {
+            index += 1;
+            skipWhitespace();
+            const quote = source[index];
+            if (quote === '"' || quote === "'") {
+              const valueEnd = source.indexOf(quote, index + 1);
+              const end = valueEnd === -1 ? source.length : valueEnd;
+              value = source.slice(index + 1, end);
+              index = end + 1;
+            } else {
+              unquotedValuePattern.lastIndex = index;
+              [value] = unquotedValuePattern.exec(source);
+              index = unquotedValuePattern.lastIndex;
+            }
+          }
+          attributes.push([attributeName.toLowerCase(), decodeEntities(value)]);
+        }
+      }
+
+      tokens.push({ type: 'startTag', name, attributes, selfClosing });
+
+      // Browsers ignore the self-closing flag here, so the raw text still runs to the end tag
+      if (!xml && RAW_TEXT_ELEMENTS.has(name)) {
+        const closePattern = new RegExp(`</${name}[\\s/>]`, 'ig');
+        closePattern.lastIndex = index;
+        const closeMatch = closePattern.exec(source);
+        const rawEnd = closeMatch ? closeMatch.index : source.length;
+        const rawText = source.slice(index, rawEnd);
+        if (rawText) {
+          tokens.push({
+            type: 'text',
+            text: ESCAPABLE_RAW_TEXT_ELEMENTS.has(name) ? decodeEntities(rawText) : rawText,
+          });
+        }
+        tokens.push({ type: 'endTag', name });
+        const tagEnd = closeMatch ? source.indexOf('>', rawEnd) : -1;
+        index = tagEnd === -1 ? source.length : tagEnd + 1;
+      }
+      textStart = index;
+    } else {
+      // A lone '<' is text
+      index += 1;
+    }
+  }
+
+  flushText(source.length);
+  return tokens;
+}
+
+/**
+ * Parse XML, such as a sitemap, into the same lightweight document. Element names keep
+ * their prefixes (image:image) but are lowercased, and there is no error reporting.
+ * @param {string} xml - XML source
+ * @returns {HtmlDocument} Document whose documentElement is the root element
+ */
+export function parseXml(xml) {
+  const doc = new HtmlDocument({ xml: true });
+  let stack = [doc];
+
+  tokenizeHtml(xml, { xml: true }).forEach((token) => {
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      if (current !== doc) current.appendChild(new HtmlText(token.text));
+      return;
+    }
+
+    if (token.type === 'endTag') {
+      const openIndex = stack.map((node) => node.localName).lastIndexOf(token.name);
+      if (openIndex > 0) stack = stack.slice(0, openIndex);
+      return;
+    }
+
+    const element = current.appendChild(new HtmlElement(token.name, token.attributes));
+    if (!doc.documentElement) doc.documentElement = element;
+    if (!token.selfClosing) stack.push(element);
+  });
+
+  return doc;
+}
+
+/**
+ * Parse HTML into a lightweight document that supports the DOM subset used for scanning
+ * @param {string} html - HTML source
+ * @returns {HtmlDocument} Document with documentElement, head and body
+ */
+export function parseHtml(html) {
+  const doc = new HtmlDocument();
+  const { documentElement, head, body } = doc;
+  let stack = [documentElement, head];
+  let inHead = true;
+
+  const current = () => stack[stack.length - 1];
+
+  const enterBody = () => {
+    if (inHead) {
+      inHead = false;
+      stack = [documentElement, body];
+    }
+  };
+
+  const closeUpTo = (names, boundaries = []) => {
+    for (let i = stack.length - 1; i > 1; i -= 1) {
+      const name = stack[i].localName;
+      if (boundaries.includes(name)) return;
+      if (names.includes(name)) {
+        stack = stack.slice(0, i);
+        return;
+      }
+    }
+  };
+
+  const mergeAttributes = (element, attributes) => {
+    attributes.forEach(([name, value]) => {
+      if (!element.hasAttribute(name)) element.setAttribute(name, value);
+    });
+  };
+
+  tokenizeHtml(html).forEach((token) => {
+    if (token.type === 'text') {
+      // Whitespace between head elements is not content
+      if (inHead && stack.length === 2 && !token.text.trim()) return;
+      if (inHead && stack.length === 2) enterBody();
+      current().appendChild(new HtmlText(token.text));
+      return;
+    }
+
+    const { name } = token;
+
+    if (token.type === 'endTag') {
+      if (name === 'head') {
+        enterBody();
+      } else if (name !== 'html' && name !== 'body') {
+        closeUpTo([name]);
+      }
+      return;
+    }
+
+    if (name === 'html') {
+      mergeAttributes(documentElement, token.attributes);
+      return;
+    }
+    if (name === 'head') return;
+    if (name === 'body') {
+      enterBody();
+      mergeAttributes(body, token.attributes);
+      return;
+    }
+
+    if (inHead && stack.length === 2 && !HEAD_ELEMENTS.has(name)) {
+      enterBody();
+    }
+
+    if (P_CLOSING_ELEMENTS.has(name)) {
+      closeUpTo(['p'], ['button', 'table', 'td', 'th']);
+    }
+    if (IMPLIED_END_TAGS[name]) {
+      closeUpTo(IMPLIED_END_TAGS[name].closes, IMPLIED_END_TAGS[name].boundaries);
+    }
+
+    // Self-closing syntax only closes elements in SVG and MathML content
+    const isForeign = name === 'svg' || name === 'math'
+      || stack.some((element) => element.localName === 'svg' || element.localName === 'math');
+    const element = current().appendChild(new HtmlElement(name, token.attributes));
+    if (!VOID_ELEMENTS.has(name) && !(token.selfClosing && isForeign)) {
+      stack.push(element);
+    }
+  });
+
+  return doc;
+}
@@ -5,6 +5,27 @@ export const ANALYSIS_CONFIG = {
   analyzeUsage: true,
 };
 
+// dHash compares each pixel with its right neighbour on a 9x8 grayscale thumbnail: 64 bits
+const PERCEPTUAL_HASH_WIDTH = 9;
+const PERCEPTUAL_HASH_HEIGHT = 8;
+
+// Quality of the WebP re-encode that estimates savings; close to typical CDN settings
+const WEBP_ESTIMATE_QUALITY = 0.8;
+// Longest side of the canvas sample; larger images are encoded scaled down
+const WEBP_SAMPLE_MAX_SIZE = 1024;
+
+// Metadata that can identify a person or place, by what it reveals; exifr tag names
+const METADATA_LEAK_FIELDS = {
+  gps: ['latitude', 'longitude', 'GPSAltitude', 'GPSDateStamp', 'City', 'Sublocation',
+    'ProvinceState', 'Country', 'Location'],
+  serial: ['SerialNumber', 'BodySerialNumber', 'CameraSerialNumber', 'LensSerialNumber',
+    'InternalSerialNumber', 'OwnerName', 'CameraOwnerName'],
+  author: ['Artist', 'XPAuthor', 'Byline', 'BylineTitle', 'Writer', 'Contact', 'creator',
+    'CreatorContactInfo', 'AuthorsPosition', 'CaptionWriter'],
+  software: ['Software', 'ProcessingSoftware', 'CreatorTool', 'History', 'HostComputer'],
+};
+const METADATA_VALUE_MAX_LENGTH = 120;
+
 const analysisCache = new Map();
 
 async function getImageDimensions(imageUrl) {
@@ -68,6 +89,92 @@ async function extractEXIFData(imageUrl) {
   }
 }
 
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve) => {
+    canvas.toBlob(resolve, type, quality);
+  });
+}
+
+/**
+ * Estimate the size of an image re-encoded as WebP, by encoding it on a canvas. Images
+ * larger than the sample size are encoded scaled down and the result scaled up by area.
+ * @param {Blob} imageBlob - Image file
+ * @returns {Promise<number|null>} Estimated bytes, or null when the image cannot be decoded
+ *   or the browser cannot encode WebP
+ */
+export async function estimateWebpSize(imageBlob) {
+  if (typeof createImageBitmap !== 'function') return null;
+
+  try {
+    const bitmap = await createImageBitmap(imageBlob);
+    const { width, height } = bitmap;
+    const scale = Math.min(1, WEBP_SAMPLE_MAX_SIZE / Math.max(width, height));
+    const sampleWidth = Math.max(1, Math.round(width * scale));
+    const sampleHeight = Math.max(1, Math.round(height * scale));
+
+    const canvas = createCanvas(sampleWidth, sampleHeight);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, sampleWidth, sampleHeight);
+    bitmap.close?.();
+
+    const webpBlob = await canvasToBlob(canvas, 'image/webp', WEBP_ESTIMATE_QUALITY);
+    // Browsers without a WebP encoder silently fall back to PNG
+    if (!webpBlob || webpBlob.type !== 'image/webp') return null;
+
+    return Math.round(webpBlob.size / (scale * scale));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Difference hash (dHash) of an image, which stays the same or nearly so when the image
+ * is resized, re-encoded or slightly recompressed. Compare hashes with hammingDistance.
+ * @param {Blob} blob - Image file
+ * @returns {Promise<string|null>} 16 hex digits, or null when the image cannot be decoded
+ *   (e.g. SVG, or Node without a canvas)
+ */
+async function getPerceptualHash(blob) {
+  try {
+    // Drawing a decoded blob keeps the canvas readable, unlike a cross-origin <img>
+    const bitmap = await createImageBitmap(blob);
+    const canvas = createCanvas(PERCEPTUAL_HASH_WIDTH, PERCEPTUAL_HASH_HEIGHT);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, PERCEPTUAL_HASH_WIDTH, PERCEPTUAL_HASH_HEIGHT);
+    bitmap.close?.();
+
+    const { data } = context.getImageData(0, 0, PERCEPTUAL_HASH_WIDTH, PERCEPTUAL_HASH_HEIGHT);
+    const luminance = (x, y) => {
+      const offset = (y * PERCEPTUAL_HASH_WIDTH + x) * 4;
+      return 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    };
+
+    let hash = '';
+    for (let y = 0; y < PERCEPTUAL_HASH_HEIGHT; y += 1) {
+      let rowBits = 0;
+      for (let x = 0; x < PERCEPTUAL_HASH_WIDTH - 1; x += 1) {
+        rowBits = rowBits * 2 + (luminance(x, y) < luminance(x + 1, y) ? 1 : 0);
+      }
+      hash += rowBits.toString(16).padStart(2, '0');
+    }
+    return hash;
+  } catch (error) {
+    return null;
+  }
+}
+
 function getBasicAnalysis() {
   return {
     orientation: 'unknown',
@@ -126,15 +233,115 @@ async function runAnalysisPipeline(imageUrl, context = '') {
   return analysis;
 }
 
-async function getImageContentHash(imageUrl) {
+// Bundlers resolve exifr's ES module; Node loads its UMD build, which exports a default
+async function loadExifr() {
+  const exifr = await import(/* @vite-ignore */ 'exifr');
+  return exifr.parse ? exifr : exifr.default;
+}
+
+function formatMetadataValue(value) {
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map(formatMetadataValue).filter(Boolean).join(', ');
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value && typeof value === 'object') {
+    // XMP history entries and contact info are records; keep their readable values
+    text = Object.values(value).map(formatMetadataValue).filter(Boolean).join(' ');
+  } else {
+    text = String(value ?? '').trim();
+  }
+  return text.length > METADATA_VALUE_MAX_LENGTH
+    ? `${text.slice(0, METADATA_VALUE_MAX_LENGTH)}...`
+    : text;
+}
+
+/**
+ * Read the EXIF, GPS, IPTC and XMP metadata of an image and list the fields that reveal
+ * where it was taken, the camera's serial number or owner, its author, or the software
+ * that edited it
+ * @param {string} imageUrl - URL to fetch the image from
+ * @param {Object} options - Optional AbortSignal
+ * @returns {Promise<Object|null>} leaks (group, field and value of each leaking field) and
+ *   checkedAt, or null when the image could not be fetched
+ */
+export async function getMetadataLeaks(imageUrl, { signal = null } = {}) {
   try {
-    const response = await fetch(imageUrl);
+    const response = await fetch(imageUrl, { signal });
+    if (!response.ok) return null;
+
+    const exifr = await loadExifr();
+    const metadata = await exifr.parse(await response.arrayBuffer(), {
+      tiff: true,
+      exif: true,
+      gps: true,
+      iptc: true,
+      xmp: true,
+      icc: false,
+      jfif: false,
+      ihdr: false,
+    }).catch(() => null);
+
+    const leaks = [];
+    Object.entries(METADATA_LEAK_FIELDS).forEach(([group, fields]) => {
+      fields.forEach((field) => {
+        const value = formatMetadataValue(metadata?.[field]);
+        if (value) {
+          leaks.push({ group, field, value });
+        }
+      });
+    });
+    return { leaks, checkedAt: Date.now() };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return null;
+  }
+}
+
+/**
+ * SHA-256 of a file's bytes, so byte-identical files under different URLs can be found
+ * @param {string} imageUrl - URL to fetch the file from
+ * @param {Object} options - Optional AbortSignal
+ * @returns {Promise<string|null>} Hex digest, or null when the file could not be fetched
+ */
+export async function getImageContentHash(imageUrl, { signal = null } = {}) {
+  try {
+    const response = await fetch(imageUrl, { signal });
+    if (!response.ok) return null;
+
     const arrayBuffer = await response.arrayBuffer();
     const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
     const hashArray = Array.from(new Uint8Array(hashBuffer));
     return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
   } catch (error) {
-    return imageUrl;
+    if (signal?.aborted) throw error;
+    return null;
+  }
+}
+
+/**
+ * Hash an image file once for both exact and near-duplicate detection: the SHA-256 of its
+ * bytes and the difference hash of its pixels, from a single download
+ * @param {string} imageUrl - URL to fetch the image from
+ * @param {Object} options - Optional AbortSignal
+ * @returns {Promise<{contentHash: string, perceptualHash: string|null}|null>} Hashes, or
+ *   null when the image could not be fetched
+ */
+export async function getImageHashes(imageUrl, { signal = null } = {}) {
+  try {
+    const response = await fetch(imageUrl, { signal });
+    if (!response.ok) return null;
+
+    const blob = await response.blob();
+    const hashBuffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    return {
+      contentHash: hashArray.map((b) => b.toString(16).padStart(2, '0')).join(''),
+      perceptualHash: await getPerceptualHash(blob),
+    };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return null;
   }
 }
 
@@ -151,7 +358,8 @@ export async function analyzeImage(imageUrl, existingAnalysis = null, context =
     const analysis = await runAnalysisPipeline(imageUrl, context);
 
     const contentHash = await getImageContentHash(imageUrl);
-    analysisCache.set(contentHash, analysis);
+    analysis.contentHash = contentHash;
+    analysisCache.set(contentHash || imageUrl, analysis);
 
     return analysis;
   } catch (error) {
@@ -0,0 +1,116 @@
+/**
+ * Rendered-vs-intrinsic size analysis of <img> usages. The rendered width comes from the
+ * width attribute or, without one, from the sizes hint evaluated at a reference desktop
+ * viewport. The intrinsic width is that of the srcset candidate a browser would pick at 1x,
+ * or the natural width measured by image analysis.
+ */
+
+// Viewport that vw lengths and media conditions in sizes are evaluated against
+export const REFERENCE_VIEWPORT_WIDTH = 1440;
+// Intrinsic pixels per rendered pixel above which an image is oversized; 2 covers HiDPI
+export const OVERSIZE_RATIO = 2;
+// Below this the image is upscaled even on standard screens
+export const UNDERSIZE_RATIO = 1;
+
+const ROOT_FONT_SIZE = 16;
+
+function parseLength(value, viewportWidth) {
+  const match = /^(\d*\.?\d+)(px|vw|em|rem)$/i.exec((value || '').trim());
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === 'vw') return (amount * viewportWidth) / 100;
+  if (unit === 'px') return amount;
+  return amount * ROOT_FONT_SIZE;
+}
+
+// Supports min-width and max-width features joined with "and"; anything else never matches
+function matchesMediaCondition(condition, viewportWidth) {
+  return condition.split(/\s+and\s+/i).every((feature) => {
+    const match = /^\(\s*(min|max)-width\s*:\s*([^)]+)\)$/i.exec(feature.trim());
+    if (!match) return false;
+
+    const width = parseLength(match[2], viewportWidth);
+    if (width === null) return false;
+    return match[1].toLowerCase() === 'min' ? viewportWidth >= width : viewportWidth <= width;
+  });
+}
+
+/**
+ * Slot width a sizes attribute resolves to, such as 300 for
+ * "(max-width: 600px) 100vw, 300px" on a desktop viewport
+ * @param {string} sizes - Value of the sizes attribute
+ * @param {number} viewportWidth - Viewport width in CSS pixels
+ * @returns {number|null} Width in CSS pixels, or null when no entry can be evaluated
+ */
+export function getSizesWidth(sizes, viewportWidth = REFERENCE_VIEWPORT_WIDTH) {
+  if (!sizes) return null;
+
+  const entry = sizes.split(',')
+    .map((part) => /^(\(.*\))?\s*(\S+)$/.exec(part.trim()))
+    .find((match) => match && (!match[1] || matchesMediaCondition(match[1], viewportWidth)));
+
+  return entry ? parseLength(entry[2], viewportWidth) : null;
+}
+
+function getRenderedWidth(item) {
+  if (item.domWidth > 0) {
+    return { width: item.domWidth, from: 'width' };
+  }
+
+  const sizesWidth = getSizesWidth(item.sizes);
+  return sizesWidth ? { width: Math.round(sizesWidth), from: 'sizes' } : null;
+}
+
+// Width candidates of the <img> srcset; <source> candidates depend on media and type
+function getIntrinsicWidth(item, renderedWidth) {
+  const candidates = (item.renditions || [])
+    .filter((rendition) => rendition.source === 'img' && rendition.width > 0)
+    .map((rendition) => rendition.width)
+    .sort((a, b) => a - b);
+
+  if (candidates.length > 0) {
+    const picked = candidates.find((width) => width >= renderedWidth)
+      ?? candidates[candidates.length - 1];
+    return { width: picked, from: 'srcset' };
+  }
+
+  const naturalWidth = item.naturalWidth
+    ?? (item.analysisConfidence && item.analysisConfidence !== 'none' ? item.width : null);
+  return naturalWidth > 0 ? { width: naturalWidth, from: 'natural' } : null;
+}
+
+/**
+ * Compare the width an image is displayed at with the width of the file that is loaded
+ * @param {Object} item - Media item of one <img> usage
+ * @returns {Object|null} renderedWidth and renderedFrom (width|sizes), intrinsicWidth and
+ *   intrinsicFrom (srcset|natural), ratio of intrinsic to rendered width, and status
+ *   (oversized|undersized|ok); null when either width is unknown
+ */
+export function getSizeAnalysis(item) {
+  if (!item?.type?.startsWith('img >') || item.type.includes('svg')) return null;
+
+  const rendered = getRenderedWidth(item);
+  if (!rendered) return null;
+
+  const intrinsic = getIntrinsicWidth(item, rendered.width);
+  if (!intrinsic) return null;
+
+  const ratio = Math.round((intrinsic.width / rendered.width) * 100) / 100;
+  let status = 'ok';
+  if (ratio > OVERSIZE_RATIO) {
+    status = 'oversized';
+  } else if (ratio < UNDERSIZE_RATIO) {
+    status = 'undersized';
+  }
+
+  return {
+    renderedWidth: rendered.width,
+    renderedFrom: rendered.from,
+    intrinsicWidth: intrinsic.width,
+    intrinsicFrom: intrinsic.from,
+    ratio,
+    status,
+  };
+}
@@ -1,20 +1,95 @@
 import {
   analyzeImage,
+  getImageHashes,
+  getMetadataLeaks,
+  estimateWebpSize,
   updateAnalysisConfig,
   getAnalysisConfig,
   clearAnalysisCache,
 } from './image-analysis.js';
-import { filterChangedUrls } from './utils.js';
+import {
+  filterChangedUrls,
+  parseExternalVideoUrl,
+  getExternalVideoUrl,
+  getFormatFromContentType,
+  LEGACY_IMAGE_FORMATS,
+} from './utils.js';
+import {
+  fetchRobotsPolicy,
+  isAllowedByRobots,
+  isOwnedHost,
+  DEFAULT_USER_AGENT,
+} from './robots.js';
+import { getExtractors, normalizeExtractor } from './extractors.js';
+import { parseHtml } from './html-tokenizer.js';
+import { SEMANTIC_SECTIONS } from './usage-context.js';
+
+// Images treated as above the fold when the page has no <main> sections to go by
+const ABOVE_FOLD_IMAGE_COUNT = 3;
+// Rendered width/height below which an image is too small to be the LCP element
+const LCP_MIN_DIMENSION = 150;
+
+// Error classes worth retrying automatically; the rest fail the same way on every attempt
+const RETRYABLE_ERROR_CLASSES = ['timeout', '5xx', 'cors'];
+
+// Accept header browsers send for <img>, so CDNs negotiate the format a visitor would get
+const IMAGE_ACCEPT_HEADER = 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8';
+
+// Item types whose files the page downloads itself, unlike links and embedded players
+const DOWNLOADED_MEDIA_TYPE = /^(img|background|meta|video|video-source|audio|audio-source) >/;
+
+function createScanError(message, errorClass, status = null) {
+  const error = new Error(message);
+  error.errorClass = errorClass;
+  error.status = status;
+  return error;
+}
+
+function getHttpErrorClass(status) {
+  if (status >= 500) return '5xx';
+  if (status >= 400) return '4xx';
+  if (status >= 300) return 'redirect';
+  // Opaque responses (status 0) mean the proxy or browser blocked the request
+  return 'cors';
+}
 
 class ContentParser {
   constructor(options = {}) {
-    this.throttleDelay = 50;
-    this.maxConcurrency = 20;
+    this.throttleDelay = options.throttleDelay ?? 50;
+    this.maxConcurrency = options.maxConcurrency ?? 20;
     this.corsProxy = options.corsProxy || 'https://media-library-cors-proxy.aem-poc-lab.workers.dev/';
+    // Outside the browser (e.g. the Node CLI) there is no CORS, so sites can be fetched directly
+    this.useCorsProxy = options.useCorsProxy !== false;
     this.enableImageAnalysis = options.enableImageAnalysis || false;
+    this.scanLinkedStylesheets = options.scanLinkedStylesheets || false;
     this.analysisConfig = options.analysisConfig || {};
+    this.pageTimeout = options.pageTimeout ?? 30000;
+    this.maxRetries = options.maxRetries ?? 2;
+    this.retryDelay = options.retryDelay ?? 1000;
+    this.maxRedirects = options.maxRedirects ?? 5;
+    // Link checks and content hashing request media files, a few at a time
+    this.mediaRequestConcurrency = options.mediaRequestConcurrency ?? 6;
+    this.linkCheckTimeout = options.linkCheckTimeout ?? 15000;
+    this.respectRobots = options.respectRobots !== false;
+    // Hosts we operate ourselves; robots.txt rules and Crawl-delay are ignored for them
+    this.ownedHosts = options.ownedHosts || [];
+    this.userAgent = options.userAgent || DEFAULT_USER_AGENT;
+    // Extra extractors for this parser, on top of the registered ones
+    this.extractors = options.extractors || [];
+    this.disabledExtractors = options.disabledExtractors || [];
     this.latestMediaItems = [];
+    this.latestPage = null;
+    this.scanReport = null;
+    this.discoveredPages = [];
     this.occurrenceCounters = new Map();
+    this.pausePromise = null;
+    this.resolvePause = null;
+    this.stylesheetCache = new Map();
+    this.manifestCache = new Map();
+    this.pageResolutions = new Map();
+    this.robotsCache = new Map();
+    this.nextRequestTimes = new Map();
+    this.prefetchedHtml = new Map();
 
     if (this.enableImageAnalysis) {
       updateAnalysisConfig({
@@ -46,244 +121,1656 @@ class ContentParser {
     };
   }
 
-  async scanPages(urls, onProgress, previousMetadata = null) {
-    const results = [];
-    let completed = 0;
-    const errors = [];
+  /**
+   * Scan pages with a pool of up to maxConcurrency workers
+   * @param {Array|AsyncIterable} urls - Page objects with loc and lastmod, or an async
+   *   iterable such as CrawlerSource.crawl() that yields them while they are discovered.
+   *   Pages with an html string are scanned from it instead of being fetched.
+   * @param {Function} onProgress - Called in page order with (completed, total, found);
+   *   for async iterables total is the number of pages discovered so far
+   * @param {Object|null} previousMetadata - Metadata used to skip unchanged pages
+   * @param {Object} options - Scan options with an optional AbortSignal
+   * @returns {Promise<Array>} Media items of all scanned pages
+   */
+  async scanPages(urls, onProgress, previousMetadata = null, options = {}) {
+    const { signal = null } = options;
+    const startedAt = Date.now();
     this.latestMediaItems = []; // Reset latest items for this scan
+    this.latestPage = null;
+    this.stylesheetCache = new Map();
+    this.manifestCache = new Map();
+    this.pageResolutions = new Map();
+    this.robotsCache = new Map();
+    this.nextRequestTimes = new Map();
+    this.prefetchedHtml = new Map();
+
+    const pageSource = Array.isArray(urls) ? null : urls[Symbol.asyncIterator]();
+    this.discoveredPages = pageSource ? [] : urls;
+    const urlsToScan = pageSource || !previousMetadata
+      ? [...this.discoveredPages]
+      : filterChangedUrls(urls, previousMetadata);
+    let sourceDone = !pageSource;
+    let pendingPull = null;
+
+    // Results are stored by page index so progress can be reported in sitemap order
+    // even though pages complete out of order across workers
+    const pageResults = [];
+    const failures = [];
+    const blockedPages = [];
+    const redirectedPages = [];
+    const duplicatePages = [];
+    const pagesWithoutShareImage = [];
+    const seenPages = new Map();
+    let nextIndex = 0;
+    let nextToReport = 0;
+
+    // Only one pull from the page source runs at a time; waiting workers share it
+    const pullNextPage = () => {
+      pendingPull = pendingPull || pageSource.next().then(({ value, done }) => {
+        pendingPull = null;
+        if (done) {
+          sourceDone = true;
+          return;
+        }
+        // The HTML is held only until the page is scanned, not for the whole page list
+        const { html, ...page } = value;
+        if (typeof html === 'string') {
+          this.prefetchedHtml.set(page, html);
+        }
+        this.discoveredPages.push(page);
+        if (!previousMetadata || filterChangedUrls([page], previousMetadata).length > 0) {
+          urlsToScan.push(page);
+        }
+      }, (error) => {
+        pendingPull = null;
+        throw error;
+      });
+      return pendingPull;
+    };
 
-    const urlsToScan = previousMetadata ? filterChangedUrls(urls, previousMetadata) : urls;
+    const takeNextIndex = async () => {
+      while (nextIndex >= urlsToScan.length && !sourceDone && !signal?.aborted) {
+        await pullNextPage();
+      }
+      if (nextIndex >= urlsToScan.length || signal?.aborted) {
+        return -1;
+      }
+      const index = nextIndex;
+      nextIndex += 1;
+      return index;
+    };
 
-    for (const url of urlsToScan) {
-      try {
-        const mediaItems = await this.scanPage(url);
-        completed += 1;
+    const reportCompletedPages = () => {
+      while (nextToReport < urlsToScan.length && pageResults[nextToReport] !== undefined) {
+        const pageUrl = urlsToScan[nextToReport].loc;
+        const resolution = this.pageResolutions.get(pageUrl);
+
+        if (resolution?.redirectCount > 0) {
+          redirectedPages.push({
+            url: pageUrl,
+            finalUrl: resolution.finalUrl,
+            redirectCount: resolution.redirectCount,
+          });
+        }
+
+        // Sitemap URLs that resolve to an already scanned page would count every usage twice.
+        // Pages are checked in sitemap order so the first URL always wins.
+        const pageKey = this.getPageIdentity(pageUrl);
+        if (seenPages.has(pageKey) && !failures[nextToReport]) {
+          duplicatePages.push({
+            url: pageUrl,
+            resolvedUrl: pageKey,
+            duplicateOf: seenPages.get(pageKey),
+          });
+          pageResults[nextToReport] = [];
+        } else {
+          seenPages.set(pageKey, pageUrl);
+          if (resolution?.hasShareImage === false && !failures[nextToReport]) {
+            pagesWithoutShareImage.push(pageUrl);
+          }
+        }
+
+        const mediaItems = pageResults[nextToReport];
+        // Failed pages are not done; a resumed scan tries them again
+        this.latestPage = failures[nextToReport] ? null : urlsToScan[nextToReport];
+        nextToReport += 1;
 
         // Store latest items for progressive display
         this.latestMediaItems = mediaItems;
 
         if (onProgress) {
-          onProgress(completed, urlsToScan.length, mediaItems.length);
+          onProgress(nextToReport, urlsToScan.length, mediaItems.length);
+        }
+      }
+    };
+
+    const runWorker = async () => {
+      while (!signal?.aborted) {
+        await this.waitWhilePaused();
+        const index = await takeNextIndex();
+        if (index === -1) {
+          return;
         }
 
-        results.push(...mediaItems);
-      } catch (error) {
-        completed += 1;
-        errors.push({ url, error });
-        this.latestMediaItems = []; // Clear on error
+        const page = urlsToScan[index];
+        try {
+          if (await this.isBlockedByRobots(page.loc)) {
+            blockedPages[index] = { url: page.loc, reason: 'robots.txt' };
+            pageResults[index] = [];
+          } else {
+            pageResults[index] = await this.scanPageWithRetry(page, signal);
+          }
+        } catch (error) {
+          pageResults[index] = [];
+          if (!signal?.aborted) {
+            failures[index] = {
+              url: page.loc,
+              lastmod: page.lastmod ?? null,
+              status: error.status ?? null,
+              errorClass: error.errorClass || 'parse',
+              message: error.message,
+              retryCount: error.retryCount ?? 0,
+              failedAt: Date.now(),
+            };
+          }
+        }
 
-        if (onProgress) {
-          onProgress(completed, urlsToScan.length, 0);
+        reportCompletedPages();
+
+        const hasMorePages = nextIndex < urlsToScan.length || !sourceDone;
+        if (this.throttleDelay > 0 && hasMorePages) {
+          await new Promise((resolve) => {
+            setTimeout(resolve, this.throttleDelay);
+          });
         }
       }
+    };
+
+    // Wake paused workers on abort so they can exit
+    const handleAbort = () => this.resume();
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    try {
+      const workerCount = pageSource
+        ? this.maxConcurrency
+        : Math.max(1, Math.min(this.maxConcurrency, urlsToScan.length));
+      await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+    } finally {
+      signal?.removeEventListener('abort', handleAbort);
+      // Stop a crawl that is still discovering pages
+      if (!sourceDone) {
+        pageSource.return?.().catch(() => {});
+      }
     }
 
-    return results;
+    if (signal?.aborted) {
+      this.latestMediaItems = [];
+      this.latestPage = null;
+      throw new DOMException('Scan aborted', 'AbortError');
+    }
+
+    const failedPages = failures.filter(Boolean);
+    this.scanReport = {
+      startedAt,
+      completedAt: Date.now(),
+      totalPages: urlsToScan.length,
+      succeededPages: urlsToScan.length - failedPages.length,
+      failedPages: failedPages.length,
+      failures: failedPages,
+      blockedPages: blockedPages.filter(Boolean),
+      redirectedPages,
+      duplicatePages,
+      pagesWithoutShareImage,
+    };
+
+    return pageResults.flat();
   }
 
-  getLatestMediaItems() {
-    return this.latestMediaItems;
+  /**
+   * Get the report of the last completed scanPages run
+   * @returns {Object|null} Page totals and one entry per failed page with
+   *   url, status, errorClass (cors|timeout|4xx|5xx|redirect|parse) and retryCount,
+   *   plus the pages blocked by robots.txt, the pages that redirected, the pages
+   *   skipped as duplicates of another URL and the URLs of pages that declare neither an
+   *   og:image nor a twitter:image
+   */
+  getScanReport() {
+    return this.scanReport;
   }
 
-  async scanPage(url) {
+  /**
+   * Get every page handed to the last scanPages run, including unchanged pages that were
+   * skipped. For async iterables this is the list of pages discovered while scanning.
+   * @returns {Array} Page objects with loc and lastmod
+   */
+  getDiscoveredPages() {
+    return this.discoveredPages;
+  }
+
+  /**
+   * Get the robots.txt policy for a page's origin, fetched once per scan
+   * @param {string} pageUrl - Page URL
+   * @returns {Promise<Object|null>} Policy from fetchRobotsPolicy, or null when robots.txt
+   *   is not respected for this page
+   */
+  getRobotsPolicy(pageUrl) {
+    if (!this.respectRobots || isOwnedHost(pageUrl, this.ownedHosts)) {
+      return Promise.resolve(null);
+    }
+
+    const { origin } = new URL(pageUrl);
+    if (!this.robotsCache.has(origin)) {
+      this.robotsCache.set(origin, fetchRobotsPolicy(origin, {
+        corsProxy: this.useCorsProxy ? this.corsProxy : null,
+        userAgent: this.userAgent,
+      }));
+    }
+    return this.robotsCache.get(origin);
+  }
+
+  async isBlockedByRobots(pageUrl) {
+    const policy = await this.getRobotsPolicy(pageUrl);
+    return policy !== null && !isAllowedByRobots(policy, pageUrl);
+  }
+
+  /**
+   * Space requests to an origin by its robots.txt Crawl-delay, across all workers
+   * @param {string} pageUrl - URL about to be requested
+   * @param {AbortSignal|null} signal - Scan abort signal; rejects with an AbortError
+   */
+  async waitForCrawlDelay(pageUrl, signal = null) {
+    const policy = await this.getRobotsPolicy(pageUrl);
+    const delayMs = (policy?.crawlDelay || 0) * 1000;
+    if (delayMs === 0) return;
+
+    const { origin } = new URL(pageUrl);
+    const now = Date.now();
+    const requestTime = Math.max(now, this.nextRequestTimes.get(origin) || 0);
+    this.nextRequestTimes.set(origin, requestTime + delayMs);
+
+    if (requestTime > now) {
+      await new Promise((resolve, reject) => {
+        let timeoutId = null;
+        const handleAbort = () => {
+          clearTimeout(timeoutId);
+          reject(new DOMException('Scan aborted', 'AbortError'));
+        };
+        timeoutId = setTimeout(() => {
+          signal?.removeEventListener('abort', handleAbort);
+          resolve();
+        }, requestTime - now);
+        if (signal?.aborted) {
+          handleAbort();
+        } else {
+          signal?.addEventListener('abort', handleAbort, { once: true });
+        }
+      });
+    }
+  }
+
+  async scanPageWithRetry(page, signal) {
+    let retryCount = 0;
+
+    for (;;) {
+      try {
+        return await this.scanPage(page, { signal });
+      } catch (error) {
+        const canRetry = RETRYABLE_ERROR_CLASSES.includes(error.errorClass)
+          && retryCount < this.maxRetries
+          && !signal?.aborted;
+        if (!canRetry) {
+          error.retryCount = retryCount;
+          throw error;
+        }
+
+        // Exponential backoff before the next attempt
+        const delay = this.retryDelay * (2 ** retryCount);
+        retryCount += 1;
+        await new Promise((resolve) => {
+          setTimeout(resolve, delay);
+        });
+      }
+    }
+  }
+
+  /**
+   * URL to fetch a resource through the CORS proxy, or the resource itself when the
+   * proxy is disabled
+   * @param {string} targetUrl - Resource URL
+   * @returns {string} URL to fetch
+   */
+  getProxiedUrl(targetUrl) {
+    return this.useCorsProxy
+      ? `${this.corsProxy}?url=${encodeURIComponent(targetUrl)}`
+      : targetUrl;
+  }
+
+  /**
+   * Fetch a page through the CORS proxy, following redirects up to maxRedirects
+   * and failing with a classified error
+   * @param {string} pageUrl - Page URL
+   * @param {AbortSignal|null} signal - Scan abort signal
+   * @returns {Promise<{html: string, finalUrl: string, redirectCount: number}>} Page HTML
+   *   and the URL it was finally served from
+   */
+  async fetchPage(pageUrl, signal) {
+    await this.waitForCrawlDelay(pageUrl, signal);
+
+    const timeoutController = new AbortController();
+    const timeoutId = setTimeout(() => timeoutController.abort(), this.pageTimeout);
+    const handleAbort = () => timeoutController.abort();
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    const fetchThroughProxy = (targetUrl, redirect = 'manual') => {
+      const fetchUrl = this.useCorsProxy
+        ? `${this.getProxiedUrl(targetUrl)}&maxRedirects=${this.maxRedirects}`
+        : targetUrl;
+      return fetch(fetchUrl, { redirect, signal: timeoutController.signal });
+    };
+    const tooManyRedirects = () => createScanError(
+      `Too many redirects (more than ${this.maxRedirects})`,
+      'redirect',
+    );
+
     try {
-      const proxyUrl = `${this.corsProxy}?url=${encodeURIComponent(url.loc)}`;
-      const response = await fetch(proxyUrl, { redirect: 'manual' });
+      let finalUrl = pageUrl;
+      let redirectCount = 0;
+      let response = await fetchThroughProxy(finalUrl);
+
+      // Redirects passed through as-is (direct fetches outside the browser, or proxies that
+      // do not follow them)
+      while (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        if (redirectCount >= this.maxRedirects) throw tooManyRedirects();
+        finalUrl = new URL(response.headers.get('location'), finalUrl).href;
+        redirectCount += 1;
+        response = await fetchThroughProxy(finalUrl);
+      }
+
+      // Browsers hide manual redirects behind an opaque status 0 response, so they follow
+      // them instead. Only the final URL is known then, and the limit is the browser's own.
+      if (response.type === 'opaqueredirect') {
+        response = await fetchThroughProxy(finalUrl, 'follow');
+        if (response.redirected && !this.useCorsProxy) {
+          finalUrl = response.url;
+          redirectCount += 1;
+        }
+      }
+
+      // The media library proxy follows redirects itself and reports where it ended up
+      if (response.headers.get('x-redirect-limit-exceeded')) throw tooManyRedirects();
+      const proxyFinalUrl = response.headers.get('x-final-url');
+      if (proxyFinalUrl) {
+        finalUrl = proxyFinalUrl;
+        redirectCount += parseInt(response.headers.get('x-redirect-count'), 10) || 0;
+      }
+      // Proxies that ignore maxRedirects, and redirects the browser followed, can exceed it
+      if (redirectCount > this.maxRedirects) throw tooManyRedirects();
+
       if (!response.ok) {
-        throw new Error(`Failed to fetch page: ${response.status}`);
+        throw createScanError(
+          `Failed to fetch page: ${response.status}`,
+          getHttpErrorClass(response.status),
+          response.status,
+        );
       }
 
       const html = await response.text();
+      return { html, finalUrl, redirectCount };
+    } catch (error) {
+      if (error.errorClass || signal?.aborted) throw error;
+      if (timeoutController.signal.aborted) {
+        throw createScanError(`Page request timed out after ${this.pageTimeout}ms`, 'timeout');
+      }
+      // fetch rejects with a TypeError for CORS and network failures
+      throw createScanError(error.message, 'cors');
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', handleAbort);
+    }
+  }
+
+  /**
+   * Check one media URL with a HEAD request, falling back to GET for servers and proxies
+   * that do not support HEAD or fail it
+   * @param {string} mediaUrl - Media URL
+   * @param {AbortSignal|null} signal - Abort signal of the link check
+   * @returns {Promise<Object>} Link check result with status, ok, contentType,
+   *   contentLength, method, errorClass (null|cors|timeout|4xx|5xx|redirect) and checkedAt
+   */
+  async checkMediaUrl(mediaUrl, signal = null) {
+    const request = async (method) => {
+      const timeoutController = new AbortController();
+      const timeoutId = setTimeout(() => timeoutController.abort(), this.linkCheckTimeout);
+      const handleAbort = () => timeoutController.abort();
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      try {
+        const response = await fetch(this.getProxiedUrl(mediaUrl), {
+          method,
+          signal: timeoutController.signal,
+        });
+        // Only the headers are needed; do not download the media itself
+        if (method === 'GET') {
+          response.body?.cancel().catch(() => {});
+        }
+
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        return {
+          status: response.status,
+          ok: response.ok,
+          contentType: response.headers.get('content-type'),
+          contentLength: Number.isNaN(contentLength) ? null : contentLength,
+          method,
+          errorClass: response.ok ? null : getHttpErrorClass(response.status),
+        };
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        return {
+          status: null,
+          ok: false,
+          contentType: null,
+          contentLength: null,
+          method,
+          // fetch rejects with a TypeError for CORS and network failures
+          errorClass: timeoutController.signal.aborted ? 'timeout' : 'cors',
+        };
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', handleAbort);
+      }
+    };
+
+    let result = await request('HEAD');
+    if (result.errorClass === 'cors' || result.status === 405 || result.status === 501) {
+      result = await request('GET');
+    }
+    return { ...result, checkedAt: Date.now() };
+  }
+
+  /**
+   * Run a task for each unique http(s) URL of the given media, mediaRequestConcurrency at
+   * a time
+   * @param {Array} mediaItems - Media items
+   * @param {Function} task - Called with (mediaUrl, signal), resolves to the URL's result
+   * @param {Function} onProgress - Called with (done, total)
+   * @param {AbortSignal|null} signal - Abort signal
+   * @returns {Promise<Map<string, *>>} Media URL to task result
+   */
+  async runMediaRequests(mediaItems, task, onProgress = null, signal = null) {
+    const mediaUrls = [...new Set((mediaItems || [])
+      .map((item) => item.url)
+      .filter((mediaUrl) => /^https?:/i.test(mediaUrl || '')))];
+    const results = new Map();
+    let nextIndex = 0;
+
+    const runWorker = async () => {
+      while (nextIndex < mediaUrls.length && !signal?.aborted) {
+        await this.waitWhilePaused();
+        const mediaUrl = mediaUrls[nextIndex];
+        nextIndex += 1;
+
+        results.set(mediaUrl, await task(mediaUrl, signal));
+        onProgress?.(results.size, mediaUrls.length);
+      }
+    };
+
+    const workerCount = Math.max(1, Math.min(this.mediaRequestConcurrency, mediaUrls.length));
+    await Promise.all(Array.from({ length: workerCount }, () => runWorker()));
+
+    if (signal?.aborted) {
+      throw new DOMException('Media requests aborted', 'AbortError');
+    }
+    return results;
+  }
+
+  /**
+   * Check every unique media URL for broken links. Embedded provider videos are skipped:
+   * their URLs are player pages that refuse proxied HEAD and GET requests.
+   * @param {Array} mediaItems - Media items of a scan
+   * @param {Function} onProgress - Called with (checked, total)
+   * @param {Object} options - Optional AbortSignal
+   * @returns {Promise<Map<string, Object>>} Media URL to link check result, see checkMediaUrl
+   */
+  checkMediaLinks(mediaItems, onProgress = null, options = {}) {
+    return this.runMediaRequests(
+      (mediaItems || []).filter((item) => !item.videoProvider),
+      (mediaUrl, signal) => this.checkMediaUrl(mediaUrl, signal),
+      onProgress,
+      options.signal,
+    );
+  }
+
+  /**
+   * Hash every unique image URL, to find identical files under different URLs and images
+   * that look alike. Each image is downloaded once for both its SHA-256 and its perceptual
+   * hash. Images that already have both (or a contentHash, for SVGs, which have no
+   * perceptual hash) are skipped unless force is set.
+   * @param {Array} mediaItems - Media items of a scan
+   * @param {Function} onProgress - Called with (hashed, total)
+   * @param {Object} options - Optional AbortSignal and force
+   * @returns {Promise<Map<string, Object|null>>} Media URL to contentHash and
+   *   perceptualHash, see getImageHashes; null for files that could not be fetched
+   */
+  hashMediaContent(mediaItems, onProgress = null, options = {}) {
+    const { signal = null, force = false } = options;
+    const images = (mediaItems || []).filter((item) => /^(img|background|meta) >/.test(item.type || '')
+      && (force || !item.contentHash || (!item.perceptualHash && !/svg/.test(item.type))));
+
+    return this.runMediaRequests(
+      images,
+      (mediaUrl, requestSignal) => getImageHashes(
+        this.getProxiedUrl(mediaUrl),
+        { signal: requestSignal },
+      ),
+      onProgress,
+      signal,
+    );
+  }
+
+  /**
+   * Get the size of one media file in bytes, from its content-length or, for responses
+   * without one, by downloading it
+   * @param {string} mediaUrl - Media URL
+   * @param {AbortSignal|null} signal - Abort signal of the pass
+   * @returns {Promise<number|null>} File size, null when the file could not be fetched
+   */
+  async getMediaFileSize(mediaUrl, signal = null) {
+    const linkCheck = await this.checkMediaUrl(mediaUrl, signal);
+    if (!linkCheck.ok) return null;
+    if (linkCheck.contentLength !== null) return linkCheck.contentLength;
+
+    return this.runTimedMediaRequest(signal, async (requestSignal) => {
+      const response = await fetch(this.getProxiedUrl(mediaUrl), {
+        method: 'GET',
+        signal: requestSignal,
+      });
+      if (!response.ok) return null;
+      return (await response.blob()).size;
+    });
+  }
+
+  /**
+   * Run a media request that is aborted after linkCheckTimeout or with its pass
+   * @param {AbortSignal|null} signal - Abort signal of the pass
+   * @param {Function} request - Called with the request's own AbortSignal
+   * @returns {Promise<*>} Result of the request, null when it failed or timed out
+   */
+  async runTimedMediaRequest(signal, request) {
+    const timeoutController = new AbortController();
+    const timeoutId = setTimeout(() => timeoutController.abort(), this.linkCheckTimeout);
+    const handleAbort = () => timeoutController.abort();
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    try {
+      return await request(timeoutController.signal);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      return null;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', handleAbort);
+    }
+  }
+
+  /**
+   * Measure the file size of every unique media URL a page downloads, for media weight
+   * auditing: images, backgrounds, metadata images and video and audio files. Links and
+   * embedded players are skipped, as are media that already have a fileSize unless force
+   * is set.
+   * @param {Array} mediaItems - Media items of a scan
+   * @param {Function} onProgress - Called with (measured, total)
+   * @param {Object} options - Optional AbortSignal and force
+   * @returns {Promise<Map<string, number|null>>} Media URL to file size in bytes, null for
+   *   files that could not be fetched
+   */
+  measureMediaSizes(mediaItems, onProgress = null, options = {}) {
+    const { signal = null, force = false } = options;
+    const media = (mediaItems || []).filter((item) => DOWNLOADED_MEDIA_TYPE.test(item.type || '')
+      && !item.videoProvider && (force || typeof item.fileSize !== 'number'));
+
+    return this.runMediaRequests(
+      media,
+      (mediaUrl, requestSignal) => this.getMediaFileSize(mediaUrl, requestSignal),
+      onProgress,
+      signal,
+    );
+  }
 
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(html, 'text/html');
+  /**
+   * Download an image as an <img> would request it and classify its format by the served
+   * content type, so CDNs that negotiate WebP or AVIF behind a .jpg URL count as modern.
+   * Legacy formats are re-encoded to WebP on a canvas to estimate the saving.
+   * @param {string} mediaUrl - Image URL
+   * @param {AbortSignal|null} signal - Abort signal of the audit
+   * @returns {Promise<Object|null>} Format audit with format, contentType, fileSize,
+   *   webpSize, potentialSavings and checkedAt; null when the image could not be fetched
+   */
+  auditImageFormat(mediaUrl, signal = null) {
+    return this.runTimedMediaRequest(signal, async (requestSignal) => {
+      const response = await fetch(this.getProxiedUrl(mediaUrl), {
+        headers: { Accept: IMAGE_ACCEPT_HEADER },
+        signal: requestSignal,
+      });
+      if (!response.ok) return null;
+
+      const contentType = response.headers.get('content-type');
+      const blob = await response.blob();
+      const format = getFormatFromContentType(contentType) || getFormatFromContentType(blob.type);
+      const webpSize = LEGACY_IMAGE_FORMATS.includes(format)
+        ? await estimateWebpSize(blob)
+        : null;
+
+      return {
+        format,
+        contentType,
+        fileSize: blob.size,
+        webpSize,
+        potentialSavings: webpSize === null ? null : Math.max(0, blob.size - webpSize),
+        checkedAt: Date.now(),
+      };
+    });
+  }
+
+  /**
+   * Audit the format of every unique raster image URL. Images that already have a
+   * formatAudit are skipped unless force is set.
+   * @param {Array} mediaItems - Media items of a scan
+   * @param {Function} onProgress - Called with (audited, total)
+   * @param {Object} options - Optional AbortSignal and force
+   * @returns {Promise<Map<string, Object|null>>} Media URL to format audit, see
+   *   auditImageFormat
+   */
+  auditMediaFormats(mediaItems, onProgress = null, options = {}) {
+    const { signal = null, force = false } = options;
+    const images = (mediaItems || []).filter((item) => /^(img|background|meta) >/.test(item.type || '')
+      && !/svg/.test(item.type) && (force || !item.formatAudit));
+
+    return this.runMediaRequests(
+      images,
+      (mediaUrl, requestSignal) => this.auditImageFormat(mediaUrl, requestSignal),
+      onProgress,
+      signal,
+    );
+  }
+
+  /**
+   * Read the embedded metadata of every unique raster image URL and record fields that
+   * leak GPS location, camera serial numbers, author names or editing software. Images
+   * that already have a metadataAudit are skipped unless force is set.
+   * @param {Array} mediaItems - Media items of a scan
+   * @param {Function} onProgress - Called with (audited, total)
+   * @param {Object} options - Optional AbortSignal and force
+   * @returns {Promise<Map<string, Object|null>>} Media URL to metadata audit, see
+   *   getMetadataLeaks
+   */
+  auditMediaMetadata(mediaItems, onProgress = null, options = {}) {
+    const { signal = null, force = false } = options;
+    const images = (mediaItems || []).filter((item) => /^(img|background|meta) >/.test(item.type || '')
+      && !/svg/.test(item.type) && (force || !item.metadataAudit));
+
+    return this.runMediaRequests(
+      images,
+      (mediaUrl, requestSignal) => getMetadataLeaks(
+        this.getProxiedUrl(mediaUrl),
+        { signal: requestSignal },
+      ),
+      onProgress,
+      signal,
+    );
+  }
+
+  /**
+   * Get the URL that identifies a scanned page: its canonical URL when declared,
+   * otherwise the URL it was served from after redirects
+   * @param {string} pageUrl - Page URL as listed in the page list
+   * @returns {string} Normalized page URL without hash or trailing slash
+   */
+  getPageIdentity(pageUrl) {
+    const resolution = this.pageResolutions.get(pageUrl);
+    const identityUrl = resolution?.canonicalUrl || resolution?.finalUrl || pageUrl;
+
+    try {
+      const parsed = new URL(identityUrl);
+      parsed.hash = '';
+      if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.slice(0, -1);
+      }
+      return parsed.href;
+    } catch (error) {
+      return identityUrl;
+    }
+  }
+
+  pause() {
+    if (this.pausePromise) return;
+
+    this.pausePromise = new Promise((resolve) => {
+      this.resolvePause = resolve;
+    });
+  }
+
+  resume() {
+    if (!this.pausePromise) return;
+
+    const { resolvePause } = this;
+    this.pausePromise = null;
+    this.resolvePause = null;
+    resolvePause();
+  }
+
+  isPaused() {
+    return this.pausePromise !== null;
+  }
+
+  async waitWhilePaused() {
+    while (this.pausePromise) {
+      await this.pausePromise;
+    }
+  }
+
+  getLatestMediaItems() {
+    return this.latestMediaItems;
+  }
+
+  /**
+   * Get the page reported by the latest progress callback of scanPages
+   * @returns {Object|null} Page object with loc and lastmod, or null when the page failed
+   */
+  getLatestPage() {
+    return this.latestPage;
+  }
+
+  async scanPage(url, options = {}) {
+    const { signal = null } = options;
+
+    // Crawled pages carry the HTML the crawler already downloaded
+    const prefetchedHtml = this.prefetchedHtml.get(url) ?? url.html;
+    this.prefetchedHtml.delete(url);
+    const { html, finalUrl, redirectCount } = typeof prefetchedHtml === 'string'
+      ? { html: prefetchedHtml, finalUrl: url.loc, redirectCount: 0 }
+      : await this.fetchPage(url.loc, signal);
+
+    try {
+      const doc = this.parseDocument(html);
+
+      const canonicalHref = doc.querySelector('link[rel~="canonical"]')?.getAttribute('href');
+      const canonicalUrl = canonicalHref ? this.resolveUrl(canonicalHref, finalUrl) : null;
+      // Registered before extraction so relative media URLs resolve against the final URL
+      this.pageResolutions.set(url.loc, { finalUrl, canonicalUrl, redirectCount });
 
-      const mediaItems = [];
       const timestamp = new Date(url.lastmod).getTime();
+      const extractors = this.getActiveExtractors();
+      const mediaItems = await this.runExtractors(extractors, {
+        doc,
+        page: url,
+        timestamp,
+        signal,
+        parser: this,
+        createItem: (element, src, fields) => this.createMediaItem(
+          element,
+          src,
+          url,
+          timestamp,
+          fields,
+        ),
+      });
 
-      // Track seen images to skip responsive variants (same base URL, different query params)
-      const seenImages = new Set();
+      // Unknown when metadata is not extracted, so pages are not reported as missing one
+      const hasShareImage = extractors.some((extractor) => extractor.name === 'metadata')
+        ? mediaItems.some((item) => item.metaSource === 'og:image'
+          || item.metaSource === 'twitter:image')
+        : null;
 
-      const images = doc.querySelectorAll('img');
+      // Kept per page as well, so pages without any media are reported too
+      this.pageResolutions.set(url.loc, { finalUrl, canonicalUrl, redirectCount, hasShareImage });
 
-      const imageItems = await Promise.all([...images].map(async (img) => {
-        // Skip images inside non-rendered elements (noscript, template, etc.)
-        if (this.isInNonRenderedElement(img)) {
-          return null;
-        }
+      // Page-level fields so pages can be found from any of their media
+      mediaItems.forEach((item) => {
+        item.hasShareImage = hasShareImage;
+        item.docFinalUrl = finalUrl;
+        item.docCanonicalUrl = canonicalUrl;
+      });
 
-        const rawSrc = img.getAttribute('src');
-        const lazySrc = img.getAttribute('data-src')
-                       || img.getAttribute('data-lazy-src')
-                       || img.getAttribute('data-original')
-                       || img.getAttribute('data-sling-src')
-                       || img.getAttribute('data-responsive-src');
+      return mediaItems;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw createScanError(`Failed to parse page: ${error.message}`, 'parse');
+    }
+  }
 
-        const actualSrc = rawSrc || lazySrc;
+  /**
+   * Parse page HTML with DOMParser, or with the HTML tokenizer where there is no DOMParser
+   * (Web Workers)
+   * @param {string} html - Page HTML
+   * @returns {Document} Parsed document, or a tokenizer document with the same query API
+   */
+  parseDocument(html) {
+    if (typeof DOMParser !== 'undefined') {
+      return new DOMParser().parseFromString(html, 'text/html');
+    }
+    return parseHtml(html);
+  }
 
-        if (!actualSrc || !actualSrc.trim() || !this.isMediaFile(actualSrc)) {
-          return null;
-        }
+  /**
+   * Extract <img> media with renditions, loading attributes and LCP flags
+   * @param {Array<Element>} images - img elements in document order
+   * @param {Object} context - Extractor context with doc, page and timestamp
+   * @returns {Promise<Array>} Image media items
+   */
+  async extractImages(images, context) {
+    const { doc, page: url, timestamp } = context;
+    const firstSection = this.findFirstSection(doc);
+
+    // Track seen images to skip responsive variants (same base URL, different query params)
+    const seenImages = new Set();
+
+    const imageItems = await Promise.all(images.map(async (img, domOrder) => {
+      // Skip images inside non-rendered elements (noscript, template, etc.)
+      if (this.isInNonRenderedElement(img)) {
+        return null;
+      }
 
-        const extension = this.getFileExtension(actualSrc);
-        const resolvedUrl = this.resolveUrl(actualSrc, url.loc);
-        const documentDomain = new URL(url.loc).hostname;
-        const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
-        const cleanFilename = this.getCleanFilename(actualSrc);
-
-        const domWidth = parseInt(img.getAttribute('width'), 10) || 0;
-        const domHeight = parseInt(img.getAttribute('height'), 10) || 0;
-
-        // Determine alt text value - distinguish between missing, empty, and filled
-        let altValue = null;
-        if (img.hasAttribute('alt')) {
-          altValue = img.getAttribute('alt');
-          // If getAttribute returns null but hasAttribute is true, treat as empty string
-          if (altValue === null) {
-            altValue = '';
-          }
-        }
+      const rawSrc = img.getAttribute('src');
+      const lazySrc = img.getAttribute('data-src')
+                     || img.getAttribute('data-lazy-src')
+                     || img.getAttribute('data-original')
+                     || img.getAttribute('data-sling-src')
+                     || img.getAttribute('data-responsive-src');
+
+      const documentDomain = new URL(url.loc).hostname;
+      const renditions = this.collectRenditions(img, url.loc, documentDomain);
+
+      // Fall back to the first srcset candidate for images that only declare srcset
+      const srcsetSrc = renditions
+        .find((rendition) => this.isMediaFile(rendition.rawUrl))?.rawUrl;
+      const actualSrc = rawSrc || lazySrc || srcsetSrc;
 
-        // Normalize URL for deduplication (removes query params for CDN images)
-        const normalizedSrc = this.normalizeUrlForHash(actualSrc);
+      if (!actualSrc || !actualSrc.trim() || !this.isMediaFile(actualSrc)) {
+        return null;
+      }
 
-        // Skip responsive variants: same normalized URL + alt text on the same page
-        const dedupeKey = `${normalizedSrc}|${altValue}`;
-        if (seenImages.has(dedupeKey)) {
-          return null;
+      const extension = this.getFileExtension(actualSrc);
+      const resolvedUrl = this.resolveUrl(actualSrc, url.loc);
+      const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
+      const cleanFilename = this.getCleanFilename(actualSrc);
+
+      const domWidth = parseInt(img.getAttribute('width'), 10) || 0;
+      const domHeight = parseInt(img.getAttribute('height'), 10) || 0;
+
+      // Determine alt text value - distinguish between missing, empty, and filled
+      let altValue = null;
+      if (img.hasAttribute('alt')) {
+        altValue = img.getAttribute('alt');
+        // If getAttribute returns null but hasAttribute is true, treat as empty string
+        if (altValue === null) {
+          altValue = '';
         }
-        seenImages.add(dedupeKey);
-
-        const mediaItem = {
-          url: fixedUrl,
-          name: cleanFilename,
-          alt: altValue,
-          type: `img > ${extension}`,
-          doc: url.loc,
-          ctx: this.captureContext(img, 'img'),
-          hash: this.createUniqueHash(
-            actualSrc,
-            url.loc,
-            altValue,
-            this.getOccurrenceIndex(normalizedSrc, url.loc),
-          ),
-          firstUsedAt: timestamp,
-          lastUsedAt: timestamp,
-          domWidth,
-          domHeight,
-        };
+      }
 
-        if (this.enableImageAnalysis) {
-          try {
-            const analysis = await analyzeImage(fixedUrl, null, mediaItem.ctx);
-
-            mediaItem.orientation = analysis.orientation;
-            mediaItem.width = analysis.width;
-            mediaItem.height = analysis.height;
-            mediaItem.exifCamera = analysis.exifCamera;
-            mediaItem.exifDate = analysis.exifDate;
-            mediaItem.analysisConfidence = analysis.confidence;
-
-            if (analysis.exifError) {
-              mediaItem.hasError = true;
-              mediaItem.errorType = analysis.exifError.errorType;
-              mediaItem.errorMessage = analysis.exifError.errorMessage;
-              mediaItem.statusCode = analysis.exifError.statusCode;
-            }
-          } catch (error) {
-            // Image analysis failed, continue without analysis
+      // Normalize URL for deduplication (removes query params for CDN images)
+      const normalizedSrc = this.normalizeUrlForHash(actualSrc);
+
+      // Skip responsive variants: same normalized URL + alt text on the same page
+      const dedupeKey = `${normalizedSrc}|${altValue}`;
+      if (seenImages.has(dedupeKey)) {
+        return null;
+      }
+      seenImages.add(dedupeKey);
+
+      const mediaItem = {
+        url: fixedUrl,
+        name: cleanFilename,
+        alt: altValue,
+        type: `img > ${extension}`,
+        doc: url.loc,
+        context: this.captureContext(img, 'img'),
+        // Hashed by the resolved URL, like the items of the other extractors
+        hash: this.createUniqueHash(
+          fixedUrl,
+          url.loc,
+          altValue,
+          this.getOccurrenceIndex(this.normalizeUrlForHash(fixedUrl), url.loc),
+        ),
+        firstUsedAt: timestamp,
+        lastUsedAt: timestamp,
+        domWidth,
+        domHeight,
+        sizes: img.getAttribute('sizes') || null,
+        renditions: renditions.map(({ rawUrl, ...rendition }) => rendition),
+        ...this.getLoadingAttributes(img, domOrder, firstSection),
+      };
+
+      if (this.enableImageAnalysis) {
+        try {
+          const analysis = await analyzeImage(fixedUrl, null, mediaItem.context);
+
+          mediaItem.orientation = analysis.orientation;
+          mediaItem.width = analysis.width;
+          mediaItem.height = analysis.height;
+          if (analysis.width > 0) {
+            mediaItem.naturalWidth = analysis.width;
+            mediaItem.naturalHeight = analysis.height;
+          }
+          mediaItem.exifCamera = analysis.exifCamera;
+          mediaItem.exifDate = analysis.exifDate;
+          mediaItem.analysisConfidence = analysis.confidence;
+          if (analysis.contentHash) {
+            mediaItem.contentHash = analysis.contentHash;
           }
-        }
 
-        // Set basic orientation from HTML attributes when deep analysis is disabled
-        if (!this.enableImageAnalysis && domWidth > 0 && domHeight > 0) {
-          if (domWidth === domHeight) {
-            mediaItem.orientation = 'square';
-          } else {
-            mediaItem.orientation = domWidth > domHeight ? 'landscape' : 'portrait';
+          if (analysis.exifError) {
+            mediaItem.hasError = true;
+            mediaItem.errorType = analysis.exifError.errorType;
+            mediaItem.errorMessage = analysis.exifError.errorMessage;
+            mediaItem.statusCode = analysis.exifError.statusCode;
           }
-          mediaItem.width = domWidth;
-          mediaItem.height = domHeight;
+        } catch (error) {
+          // Image analysis failed, continue without analysis
         }
+      }
 
-        return mediaItem;
-      }));
+      // Set basic orientation from HTML attributes when deep analysis is disabled
+      if (!this.enableImageAnalysis && domWidth > 0 && domHeight > 0) {
+        if (domWidth === domHeight) {
+          mediaItem.orientation = 'square';
+        } else {
+          mediaItem.orientation = domWidth > domHeight ? 'landscape' : 'portrait';
+        }
+        mediaItem.width = domWidth;
+        mediaItem.height = domHeight;
+      }
 
-      mediaItems.push(...imageItems.filter((item) => item !== null));
+      return mediaItem;
+    }));
 
-      const videos = doc.querySelectorAll('video');
-      videos.forEach((video) => {
-        if (video.src && this.isMediaFile(video.src)) {
-          const resolvedUrl = this.resolveUrl(video.src, url.loc);
-          const documentDomain = new URL(url.loc).hostname;
-          const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
-          const normalizedSrc = this.normalizeUrlForHash(video.src);
-          mediaItems.push({
-            url: fixedUrl,
-            name: this.getCleanFilename(video.src),
-            alt: '',
-            type: `video > ${this.getFileExtension(video.src)}`,
-            doc: url.loc,
-            ctx: this.captureContext(video, 'video'),
-            hash: this.createUniqueHash(video.src, url.loc, '', this.getOccurrenceIndex(normalizedSrc, url.loc)),
-            firstUsedAt: timestamp,
-            lastUsedAt: timestamp,
-          });
+    const pageImages = imageItems.filter((item) => item !== null);
+    this.flagLcpCandidates(pageImages);
+    pageImages.forEach((item) => {
+      item.context.perf = this.getPerformanceTags(item);
+    });
+    return pageImages;
+  }
+
+  /**
+   * Build a media item for an element the way the built-in extractors do
+   * @param {Element} element - Element the media was found on, used for context
+   * @param {string} src - Media URL as written in the page
+   * @param {Object} page - Page URL object with loc property
+   * @param {number} timestamp - Scan timestamp
+   * @param {Object} fields - Item type (e.g. 'video'), alt text and any extra fields
+   * @returns {Object|null} Media item, or null when src is not a media file
+   */
+  createMediaItem(element, src, page, timestamp, fields = {}) {
+    const { type, alt = '', ...extra } = fields;
+    if (!src || !src.trim() || !type || !this.isMediaFile(src)) {
+      return null;
+    }
+
+    const documentDomain = new URL(page.loc).hostname;
+    const resolvedUrl = this.resolveUrl(src, page.loc);
+    const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
+    // Hashed by the resolved URL, so relative and absolute references to a file match
+    const normalizedSrc = this.normalizeUrlForHash(fixedUrl);
+
+    return {
+      url: fixedUrl,
+      name: this.getCleanFilename(src),
+      alt,
+      type: `${type} > ${this.getFileExtension(src)}`,
+      doc: page.loc,
+      context: this.captureContext(element, type),
+      hash: this.createUniqueHash(
+        fixedUrl,
+        page.loc,
+        alt,
+        this.getOccurrenceIndex(normalizedSrc, page.loc),
+      ),
+      firstUsedAt: timestamp,
+      lastUsedAt: timestamp,
+      ...extra,
+    };
+  }
+
+  /**
+   * Registered extractors plus this parser's own, minus disabled ones. An extractor
+   * passed to the parser replaces a registered one with the same name.
+   * @returns {Array<Object>} Extractors in run order
+   */
+  getActiveExtractors() {
+    const extractors = new Map(getExtractors().map((extractor) => [extractor.name, extractor]));
+    this.extractors.forEach((extractor) => {
+      const normalized = normalizeExtractor(extractor);
+      extractors.set(normalized.name, normalized);
+    });
+
+    return [...extractors.values()]
+      .filter((extractor) => !this.disabledExtractors.includes(extractor.name));
+  }
+
+  /**
+   * Run extractors one after another so occurrence indexes stay stable between scans
+   * @param {Array<Object>} extractors - Extractors in run order
+   * @param {Object} context - Extractor context
+   * @returns {Promise<Array>} Media items of all extractors
+   */
+  async runExtractors(extractors, context) {
+    const mediaItems = [];
+
+    for (const extractor of extractors) {
+      const elements = extractor.selectors.length > 0
+        ? [...context.doc.querySelectorAll(extractor.selectors.join(', '))]
+        : [];
+
+      if (extractor.selectors.length === 0 || elements.length > 0) {
+        let items;
+        try {
+          items = await extractor.extract(elements, context);
+        } catch (error) {
+          if (error.name === 'AbortError') throw error;
+          throw new Error(`Extractor "${extractor.name}" failed: ${error.message}`);
         }
-      });
 
-      const sources = doc.querySelectorAll('video source');
-      sources.forEach((source) => {
-        if (source.src && this.isMediaFile(source.src)) {
-          const resolvedUrl = this.resolveUrl(source.src, url.loc);
-          const documentDomain = new URL(url.loc).hostname;
-          const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
-          const normalizedSrc = this.normalizeUrlForHash(source.src);
+        (items || []).forEach((item) => {
+          if (!item?.url) return;
           mediaItems.push({
-            url: fixedUrl,
-            name: this.getCleanFilename(source.src),
-            alt: '',
-            type: `video-source > ${this.getFileExtension(source.src)}`,
-            doc: url.loc,
-            ctx: this.captureContext(source, 'video-source'),
-            hash: this.createUniqueHash(source.src, url.loc, '', this.getOccurrenceIndex(normalizedSrc, url.loc)),
-            firstUsedAt: timestamp,
-            lastUsedAt: timestamp,
+            ...item,
+            doc: item.doc || context.page.loc,
+            firstUsedAt: item.firstUsedAt ?? context.timestamp,
+            lastUsedAt: item.lastUsedAt ?? context.timestamp,
           });
+        });
+      }
+    }
+
+    return mediaItems;
+  }
+
+  /**
+   * Parse a srcset attribute into its image candidates
+   * @param {string} srcset - srcset attribute value
+   * @returns {Array<{url: string, descriptor: string|null}>} Candidate URLs with descriptors
+   */
+  parseSrcset(srcset) {
+    if (!srcset || typeof srcset !== 'string') return [];
+
+    const candidates = [];
+    let position = 0;
+
+    while (position < srcset.length) {
+      // Skip leading whitespace and stray commas between candidates
+      while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+        position += 1;
+      }
+      if (position >= srcset.length) break;
+
+      let urlEnd = position;
+      while (urlEnd < srcset.length && !/\s/.test(srcset[urlEnd])) {
+        urlEnd += 1;
+      }
+
+      let candidateUrl = srcset.slice(position, urlEnd);
+      let descriptor = null;
+      position = urlEnd;
+
+      if (candidateUrl.endsWith(',')) {
+        // URL immediately followed by a comma has no descriptor
+        candidateUrl = candidateUrl.replace(/,+$/, '');
+      } else {
+        let descriptorEnd = position;
+        let inParens = false;
+        while (descriptorEnd < srcset.length) {
+          const char = srcset[descriptorEnd];
+          if (char === '(') inParens = true;
+          if (char === ')') inParens = false;
+          if (char === ',' && !inParens) break;
+          descriptorEnd += 1;
         }
+        descriptor = srcset.slice(position, descriptorEnd).trim() || null;
+        position = descriptorEnd + 1;
+      }
+
+      if (candidateUrl) {
+        candidates.push({ url: candidateUrl, descriptor });
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Collect every responsive candidate for an image from its srcset and any
+   * sibling <source> elements of a parent <picture>
+   * @param {Element} img - Image element
+   * @param {string} docPath - Page URL used to resolve relative candidates
+   * @param {string} documentDomain - Page hostname used to fix localhost URLs
+   * @returns {Array<Object>} Renditions with resolved URL, descriptor and media query
+   */
+  collectRenditions(img, docPath, documentDomain) {
+    const renditions = [];
+    const seenUrls = new Set();
+
+    const addCandidates = (srcset, element, origin) => {
+      this.parseSrcset(srcset).forEach(({ url: rawUrl, descriptor }) => {
+        if (rawUrl.startsWith('data:')) return;
+
+        const resolvedUrl = this.fixLocalhostUrl(this.resolveUrl(rawUrl, docPath), documentDomain);
+        const key = `${resolvedUrl}|${element.getAttribute('media') || ''}`;
+        if (seenUrls.has(key)) return;
+        seenUrls.add(key);
+
+        const widthMatch = descriptor?.match(/^(\d+)w$/);
+        const densityMatch = descriptor?.match(/^(\d*\.?\d+)x$/);
+
+        renditions.push({
+          rawUrl,
+          url: resolvedUrl,
+          descriptor,
+          width: widthMatch ? parseInt(widthMatch[1], 10) : null,
+          density: densityMatch ? parseFloat(densityMatch[1]) : null,
+          media: element.getAttribute('media') || null,
+          type: element.getAttribute('type') || null,
+          sizes: element.getAttribute('sizes') || null,
+          source: origin,
+        });
       });
+    };
 
-      const links = doc.querySelectorAll('a[href]');
-      links.forEach((link) => {
-        const href = link.getAttribute('href');
-        if (href && this.isMediaFile(href)) {
-          const resolvedUrl = this.resolveUrl(href, url.loc);
-          const documentDomain = new URL(url.loc).hostname;
-          const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
-          const normalizedHref = this.normalizeUrlForHash(href);
-          mediaItems.push({
-            url: fixedUrl,
-            name: this.getCleanFilename(href),
-            alt: link.textContent || '',
-            type: `link > ${this.getFileExtension(href)}`,
-            doc: url.loc,
-            ctx: this.captureContext(link, 'link'),
-            hash: this.createUniqueHash(
-              href,
-              url.loc,
-              link.textContent,
-              this.getOccurrenceIndex(normalizedHref, url.loc),
-            ),
-            firstUsedAt: timestamp,
-            lastUsedAt: timestamp,
-          });
+    const picture = img.parentElement?.tagName?.toLowerCase() === 'picture' ? img.parentElement : null;
+    if (picture) {
+      picture.querySelectorAll(':scope > source').forEach((source) => {
+        const srcset = source.getAttribute('srcset')
+          || source.getAttribute('data-srcset')
+          || source.getAttribute('src');
+        addCandidates(srcset, source, 'source');
+      });
+    }
+
+    addCandidates(img.getAttribute('srcset') || img.getAttribute('data-srcset'), img, 'img');
+
+    return renditions;
+  }
+
+  /**
+   * Extract background image URLs from a block of CSS
+   * @param {string} cssText - Stylesheet contents or a style attribute value
+   * @param {boolean} isInline - True when cssText is a bare declaration list
+   * @returns {Array<{url: string, selector: string|null}>} Background URLs with their rule selector
+   */
+  extractCssBackgroundUrls(cssText, isInline = false) {
+    if (!cssText || !cssText.includes('url(')) return [];
+
+    const results = [];
+    const css = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    const collectFromDeclarations = (declarations, selector) => {
+      const declarationPattern = /background(?:-image)?\s*:\s*([^;]+)/gi;
+      let declaration = declarationPattern.exec(declarations);
+      while (declaration) {
+        const urlPattern = /url\(\s*(['"]?)(.*?)\1\s*\)/gi;
+        let urlMatch = urlPattern.exec(declaration[1]);
+        while (urlMatch) {
+          const cssUrl = urlMatch[2].trim();
+          if (cssUrl && !cssUrl.startsWith('data:')) {
+            results.push({ url: cssUrl, selector });
+          }
+          urlMatch = urlPattern.exec(declaration[1]);
         }
+        declaration = declarationPattern.exec(declarations);
+      }
+    };
+
+    if (isInline) {
+      collectFromDeclarations(css, null);
+      return results;
+    }
+
+    // Innermost rule blocks only; selectors nested in @media still match
+    const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+    let rule = rulePattern.exec(css);
+    while (rule) {
+      const selector = rule[1].trim();
+      if (!selector.startsWith('@')) {
+        collectFromDeclarations(rule[2], selector);
+      }
+      rule = rulePattern.exec(css);
+    }
+
+    return results;
+  }
+
+  /**
+   * Find the element a CSS rule applies to so usage context reflects the styled element
+   * @param {Document} doc - Parsed page document
+   * @param {string} selector - Rule selector, possibly a selector list
+   * @returns {Element|null} First matching element
+   */
+  findElementForSelector(doc, selector) {
+    if (!selector) return null;
+
+    for (const candidate of this.getSelectorCandidates(selector)) {
+      try {
+        const element = doc.querySelector(candidate);
+        if (element) return element;
+      } catch (error) {
+        // Unsupported selector, try the next one
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a rule selector matches no element of the page. Selectors the matcher
+   * cannot evaluate may still match, so they do not count as unmatched.
+   * @param {Document} doc - Parsed page document
+   * @param {string} selector - Rule selector, possibly a selector list
+   * @returns {boolean} True when every selector in the list was evaluated and matched nothing
+   */
+  isUnmatchedSelector(doc, selector) {
+    const candidates = selector ? this.getSelectorCandidates(selector) : [];
+    if (candidates.length === 0) return false;
+
+    return candidates.every((candidate) => {
+      try {
+        return !doc.querySelector(candidate);
+      } catch (error) {
+        return false;
+      }
+    });
+  }
+
+  // Selectors of a selector list, without the pseudo-classes and pseudo-elements that no
+  // element matches while the page is parsed
+  getSelectorCandidates(selector) {
+    const pseudoPattern = /::?(before|after|first-line|first-letter|hover|focus|active|visited)\b/g;
+    return selector.split(',')
+      .map((part) => part.replace(pseudoPattern, '').trim())
+      .filter(Boolean);
+  }
+
+  async fetchStylesheet(stylesheetUrl, signal = null) {
+    if (this.stylesheetCache.has(stylesheetUrl)) {
+      return this.stylesheetCache.get(stylesheetUrl);
+    }
+
+    const request = (async () => {
+      try {
+        const response = await fetch(this.getProxiedUrl(stylesheetUrl), { signal });
+        if (!response.ok) return '';
+        return await response.text();
+      } catch (error) {
+        return '';
+      }
+    })();
+
+    this.stylesheetCache.set(stylesheetUrl, request);
+    return request;
+  }
+
+  async extractBackgroundImages(doc, url, timestamp, signal = null) {
+    const documentDomain = new URL(url.loc).hostname;
+    const pageOrigin = new URL(url.loc).origin;
+    const backgroundItems = [];
+    const seenBackgrounds = new Set();
+
+    const addBackground = (cssUrl, baseUrl, element, cssSource, selector = null) => {
+      if (!this.isMediaFile(cssUrl)) return;
+
+      const resolvedUrl = this.resolveUrl(cssUrl, baseUrl);
+      const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
+      const normalizedSrc = this.normalizeUrlForHash(fixedUrl);
+
+      const dedupeKey = `${normalizedSrc}|${selector || ''}|${cssSource}`;
+      if (cssSource !== 'inline' && seenBackgrounds.has(dedupeKey)) return;
+      seenBackgrounds.add(dedupeKey);
+
+      const context = element
+        ? this.captureContext(element, 'background')
+        : { type: 'background', selector };
+
+      backgroundItems.push({
+        url: fixedUrl,
+        name: this.getCleanFilename(cssUrl),
+        alt: '',
+        type: `background > ${this.getFileExtension(cssUrl)}`,
+        doc: url.loc,
+        context,
+        hash: this.createUniqueHash(
+          fixedUrl,
+          url.loc,
+          '',
+          this.getOccurrenceIndex(normalizedSrc, url.loc),
+        ),
+        firstUsedAt: timestamp,
+        lastUsedAt: timestamp,
+        cssSource,
+        selector,
       });
+    };
 
-      return mediaItems;
-    } catch (error) {
-      return [];
+    doc.querySelectorAll('[style*="url("]').forEach((element) => {
+      if (this.isInNonRenderedElement(element)) return;
+      this.extractCssBackgroundUrls(element.getAttribute('style'), true).forEach(({ url: cssUrl }) => {
+        addBackground(cssUrl, url.loc, element, 'inline');
+      });
+    });
+
+    const addRules = (cssText, baseUrl, cssSource) => {
+      this.extractCssBackgroundUrls(cssText).forEach(({ url: cssUrl, selector }) => {
+        const element = this.findElementForSelector(doc, selector);
+        // Shared stylesheets declare backgrounds for elements most pages do not have
+        if (!element && this.isUnmatchedSelector(doc, selector)) return;
+        addBackground(cssUrl, baseUrl, element, cssSource, selector);
+      });
+    };
+
+    doc.querySelectorAll('style').forEach((styleElement) => {
+      addRules(styleElement.textContent, url.loc, 'style');
+    });
+
+    if (this.scanLinkedStylesheets) {
+      const stylesheetUrls = [...doc.querySelectorAll('link[rel~="stylesheet"][href]')]
+        .map((link) => this.resolveUrl(link.getAttribute('href'), url.loc))
+        .filter((stylesheetUrl) => {
+          try {
+            return new URL(stylesheetUrl).origin === pageOrigin;
+          } catch (error) {
+            return false;
+          }
+        });
+
+      const stylesheets = await Promise.all(
+        stylesheetUrls.map((stylesheetUrl) => this.fetchStylesheet(stylesheetUrl, signal)),
+      );
+
+      stylesheets.forEach((cssText, index) => {
+        // Relative URLs in external stylesheets resolve against the stylesheet, not the page
+        addRules(cssText, stylesheetUrls[index], 'stylesheet');
+      });
+    }
+
+    return backgroundItems;
+  }
+
+  async fetchManifest(manifestUrl, signal = null) {
+    if (this.manifestCache.has(manifestUrl)) {
+      return this.manifestCache.get(manifestUrl);
+    }
+
+    const request = (async () => {
+      try {
+        const response = await fetch(this.getProxiedUrl(manifestUrl), { signal });
+        if (!response.ok) return null;
+        return await response.json();
+      } catch (error) {
+        return null;
+      }
+    })();
+
+    this.manifestCache.set(manifestUrl, request);
+    return request;
+  }
+
+  /**
+   * Collect image URLs from JSON-LD image, logo and thumbnailUrl fields
+   * @param {*} node - Parsed JSON-LD value
+   * @param {string|null} schemaType - @type of the closest enclosing object
+   * @param {Array} results - Accumulator
+   * @returns {Array<{url: string, schemaType: string|null}>} Image URLs with their schema type
+   */
+  collectJsonLdImages(node, schemaType = null, results = []) {
+    if (!node) return results;
+
+    if (Array.isArray(node)) {
+      node.forEach((child) => this.collectJsonLdImages(child, schemaType, results));
+      return results;
+    }
+
+    if (typeof node !== 'object') return results;
+
+    const nodeType = Array.isArray(node['@type']) ? node['@type'][0] : node['@type'];
+    const currentType = nodeType || schemaType;
+
+    const addImageValue = (value) => {
+      if (!value) return;
+      if (typeof value === 'string') {
+        results.push({ url: value, schemaType: currentType });
+      } else if (Array.isArray(value)) {
+        value.forEach(addImageValue);
+      } else if (typeof value === 'object' && (value.url || value.contentUrl)) {
+        results.push({ url: value.url || value.contentUrl, schemaType: currentType });
+      }
+    };
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (['image', 'logo', 'thumbnailUrl'].includes(key)) {
+        addImageValue(value);
+      } else if (value && typeof value === 'object') {
+        this.collectJsonLdImages(value, currentType, results);
+      }
+    });
+
+    return results;
+  }
+
+  async extractMetadataImages(doc, url, timestamp, signal = null) {
+    const documentDomain = new URL(url.loc).hostname;
+    const items = [];
+    const seenMetadata = new Set();
+
+    const addMetadataImage = (rawUrl, baseUrl, metaSource, extra = {}) => {
+      if (!rawUrl || !rawUrl.trim() || rawUrl.startsWith('data:')) return;
+
+      const resolvedUrl = this.resolveUrl(rawUrl.trim(), baseUrl);
+      if (!/^https?:\/\//.test(resolvedUrl)) return;
+
+      // Icons must look like media files; declared share images often come from extensionless CDNs
+      const isDeclaredImage = ['og:image', 'twitter:image', 'json-ld'].includes(metaSource);
+      if (!isDeclaredImage && !this.isMediaFile(resolvedUrl)) return;
+
+      const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
+      const normalizedSrc = this.normalizeUrlForHash(fixedUrl);
+      const dedupeKey = `${normalizedSrc}|${metaSource}`;
+      if (seenMetadata.has(dedupeKey)) return;
+      seenMetadata.add(dedupeKey);
+
+      const alt = extra.alt || '';
+
+      items.push({
+        url: fixedUrl,
+        name: this.getCleanFilename(fixedUrl),
+        alt,
+        type: `meta > ${this.getFileExtension(fixedUrl) || 'image'}`,
+        doc: url.loc,
+        context: { type: 'meta', metaSource },
+        hash: this.createUniqueHash(
+          fixedUrl,
+          url.loc,
+          alt,
+          this.getOccurrenceIndex(normalizedSrc, url.loc),
+        ),
+        firstUsedAt: timestamp,
+        lastUsedAt: timestamp,
+        metaSource,
+        ...extra,
+      });
+    };
+
+    const getMetaContent = (selectors) => selectors
+      .map((selector) => doc.querySelector(selector)?.getAttribute('content'))
+      .find((content) => content && content.trim());
+
+    const ogImageAlt = getMetaContent(['meta[property="og:image:alt"]']) || '';
+    doc.querySelectorAll('meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"]')
+      .forEach((meta) => {
+        addMetadataImage(meta.getAttribute('content'), url.loc, 'og:image', { alt: ogImageAlt });
+      });
+
+    const twitterImageAlt = getMetaContent([
+      'meta[name="twitter:image:alt"]',
+      'meta[property="twitter:image:alt"]',
+    ]) || '';
+    doc.querySelectorAll('meta[name="twitter:image"], meta[name="twitter:image:src"], meta[property="twitter:image"]')
+      .forEach((meta) => {
+        addMetadataImage(meta.getAttribute('content'), url.loc, 'twitter:image', { alt: twitterImageAlt });
+      });
+
+    doc.querySelectorAll('link[rel~="icon"][href], link[rel^="apple-touch-icon"][href], link[rel="mask-icon"][href]')
+      .forEach((link) => {
+        const rel = link.getAttribute('rel').toLowerCase();
+        const metaSource = rel.startsWith('apple-touch-icon') ? 'apple-touch-icon' : 'icon';
+        const iconSizes = link.getAttribute('sizes') || null;
+        addMetadataImage(link.getAttribute('href'), url.loc, metaSource, { iconSizes });
+      });
+
+    const manifestLink = doc.querySelector('link[rel="manifest"][href]');
+    if (manifestLink) {
+      const manifestUrl = this.resolveUrl(manifestLink.getAttribute('href'), url.loc);
+      const manifest = await this.fetchManifest(manifestUrl, signal);
+      (manifest?.icons || []).forEach((icon) => {
+        // Manifest icon paths resolve against the manifest URL
+        addMetadataImage(icon.src, manifestUrl, 'manifest', { iconSizes: icon.sizes || null });
+      });
     }
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach((script) => {
+      try {
+        const data = JSON.parse(script.textContent);
+        this.collectJsonLdImages(data).forEach(({ url: imageUrl, schemaType }) => {
+          addMetadataImage(imageUrl, url.loc, 'json-ld', { schemaType: schemaType || null });
+        });
+      } catch (error) {
+        // Invalid JSON-LD block, skip it
+      }
+    });
+
+    const hasShareImage = items.some((item) => item.metaSource === 'og:image'
+      || item.metaSource === 'twitter:image');
+
+    return { items, hasShareImage };
+  }
+
+  /**
+   * Find the provider embed URL for an iframe or lite-* embed element
+   * @param {Element} element - iframe, lite-youtube/lite-vimeo or Wistia container
+   * @param {string} docPath - Page URL used to resolve relative src attributes
+   * @returns {Object|null} Parsed provider, video ID and canonical URL
+   */
+  getEmbeddedVideo(element, docPath) {
+    const tagName = element.tagName?.toLowerCase();
+
+    if (tagName === 'lite-youtube' || tagName === 'lite-vimeo') {
+      const videoId = element.getAttribute('videoid') || element.getAttribute('data-videoid');
+      const provider = tagName === 'lite-youtube' ? 'youtube' : 'vimeo';
+      const canonicalUrl = getExternalVideoUrl(provider, videoId);
+      return canonicalUrl ? { provider, id: videoId, canonicalUrl } : null;
+    }
+
+    if (tagName === 'iframe') {
+      const src = element.getAttribute('src') || element.getAttribute('data-src');
+      return src ? parseExternalVideoUrl(this.resolveUrl(src, docPath)) : null;
+    }
+
+    // Wistia async embeds: <div class="wistia_embed wistia_async_abc123">
+    const wistiaMatch = (element.getAttribute('class') || '').match(/wistia_async_([a-z0-9]+)/i);
+    if (wistiaMatch) {
+      const canonicalUrl = getExternalVideoUrl('wistia', wistiaMatch[1]);
+      return { provider: 'wistia', id: wistiaMatch[1], canonicalUrl };
+    }
+
+    return null;
+  }
+
+  extractEmbeddedVideos(doc, url, timestamp) {
+    const videoItems = [];
+    const embeds = doc.querySelectorAll('iframe, lite-youtube, lite-vimeo, [class*="wistia_async_"]');
+
+    embeds.forEach((element) => {
+      if (this.isInNonRenderedElement(element)) return;
+
+      // lite-* elements may already contain their hydrated iframe
+      if (element.tagName?.toLowerCase() === 'iframe' && element.closest('lite-youtube, lite-vimeo')) {
+        return;
+      }
+
+      const video = this.getEmbeddedVideo(element, url.loc);
+      if (!video) return;
+
+      const title = element.getAttribute('title')
+        || element.getAttribute('playlabel')
+        || element.getAttribute('aria-label')
+        || null;
+
+      videoItems.push({
+        url: video.canonicalUrl,
+        name: video.id,
+        alt: '',
+        type: `video > ${video.provider}`,
+        doc: url.loc,
+        context: this.captureContext(element, 'embed'),
+        hash: this.createUniqueHash(
+          video.canonicalUrl,
+          url.loc,
+          '',
+          this.getOccurrenceIndex(video.canonicalUrl, url.loc),
+        ),
+        firstUsedAt: timestamp,
+        lastUsedAt: timestamp,
+        videoProvider: video.provider,
+        videoId: video.id,
+        embedUrl: element.getAttribute('src') || element.getAttribute('data-src') || null,
+        title,
+      });
+    });
+
+    return videoItems;
+  }
+
+  /**
+   * Extract audio files from <audio src> and <audio><source> elements
+   * @param {Document} doc - Parsed page document
+   * @param {Object} url - Page URL object with loc property
+   * @param {number} timestamp - Scan timestamp
+   * @returns {Array} Audio media items
+   */
+  extractAudio(doc, url, timestamp) {
+    const audioItems = [];
+    const documentDomain = new URL(url.loc).hostname;
+
+    const addAudioItem = (element, src, type, title) => {
+      if (!src || !this.isMediaFile(src)) return;
+
+      const resolvedUrl = this.resolveUrl(src, url.loc);
+      const fixedUrl = this.fixLocalhostUrl(resolvedUrl, documentDomain);
+      const normalizedSrc = this.normalizeUrlForHash(fixedUrl);
+      audioItems.push({
+        url: fixedUrl,
+        name: this.getCleanFilename(src),
+        alt: title || '',
+        type: `${type} > ${this.getFileExtension(src)}`,
+        doc: url.loc,
+        context: this.captureContext(element, type),
+        hash: this.createUniqueHash(
+          fixedUrl,
+          url.loc,
+          '',
+          this.getOccurrenceIndex(normalizedSrc, url.loc),
+        ),
+        firstUsedAt: timestamp,
+        lastUsedAt: timestamp,
+      });
+    };
+
+    doc.querySelectorAll('audio').forEach((audio) => {
+      const title = audio.getAttribute('title') || audio.getAttribute('aria-label') || '';
+      addAudioItem(audio, audio.getAttribute('src'), 'audio', title);
+
+      audio.querySelectorAll('source').forEach((source) => {
+        addAudioItem(source, source.getAttribute('src'), 'audio-source', title);
+      });
+    });
+
+    return audioItems;
   }
 
   resolveUrl(src, docPath) {
@@ -299,7 +1786,9 @@ class ContentParser {
       return src;
     }
     try {
-      const docUrl = new URL(docPath);
+      // Pages that redirected resolve relative URLs against the URL they were served from
+      const baseUrl = this.pageResolutions.get(docPath)?.finalUrl || docPath;
+      const docUrl = new URL(baseUrl);
       const resolvedUrl = new URL(src, docUrl);
       const result = resolvedUrl.toString();
       return result;
@@ -308,6 +1797,89 @@ class ContentParser {
     }
   }
 
+  /**
+   * Find the first content section of the page, used as the above-the-fold area
+   * @param {Document} doc - Parsed page document
+   * @returns {Element|null} First section inside <main>, or null when there is no <main>
+   */
+  findFirstSection(doc) {
+    const main = doc.querySelector('main');
+    if (!main) return null;
+
+    // Descend through single-child wrappers to the element that holds the sections
+    let container = main;
+    while (container.children.length === 1 && container.firstElementChild.children.length > 1) {
+      container = container.firstElementChild;
+    }
+
+    const skippedTags = ['script', 'style', 'template', 'noscript', 'link', 'meta'];
+    const firstSection = [...container.children].find((child) => (
+      !skippedTags.includes(child.tagName.toLowerCase())
+      && (child.textContent.trim() || child.querySelector('img, picture, video'))
+    ));
+    return firstSection || null;
+  }
+
+  /**
+   * Read loading hints and position of an image within the page
+   * @param {Element} img - Image element
+   * @param {number} domOrder - Index of the image among all <img> elements on the page
+   * @param {Element|null} firstSection - Result of findFirstSection
+   * @returns {Object} Loading attributes and above-the-fold flags
+   */
+  getLoadingAttributes(img, domOrder, firstSection) {
+    const inFirstSection = firstSection ? firstSection.contains(img) : false;
+    const inPageHeader = !!img.closest('header, [role="banner"]') && !img.closest('main');
+
+    let aboveFold;
+    if (inFirstSection || inPageHeader) {
+      aboveFold = true;
+    } else if (firstSection) {
+      aboveFold = false;
+    } else {
+      // Without a recognizable section structure, fall back to the first few images
+      aboveFold = domOrder < ABOVE_FOLD_IMAGE_COUNT;
+    }
+
+    return {
+      loading: img.getAttribute('loading')?.toLowerCase() || null,
+      fetchPriority: img.getAttribute('fetchpriority')?.toLowerCase() || null,
+      decoding: img.getAttribute('decoding')?.toLowerCase() || null,
+      domOrder,
+      inFirstSection,
+      aboveFold,
+    };
+  }
+
+  /**
+   * Flag the images of a page that are likely to be the Largest Contentful Paint element.
+   * Images with fetchpriority="high" are always candidates; otherwise the first sizable
+   * above-the-fold content image is picked, preferring the first section over the header.
+   * @param {Array} imageItems - Image media items of one page, in DOM order
+   */
+  flagLcpCandidates(imageItems) {
+    const isSizable = (item) => !item.type.includes('svg')
+      && !(item.domWidth > 0 && item.domWidth < LCP_MIN_DIMENSION)
+      && !(item.domHeight > 0 && item.domHeight < LCP_MIN_DIMENSION);
+
+    const candidates = imageItems.filter((item) => item.aboveFold && isSizable(item));
+    const heuristicPick = candidates.find((item) => item.inFirstSection) || candidates[0];
+
+    imageItems.forEach((item) => {
+      item.lcpCandidate = item.fetchPriority === 'high' || item === heuristicPick;
+    });
+  }
+
+  getPerformanceTags(item) {
+    const tags = [item.aboveFold ? 'above-fold' : 'below-fold'];
+    if (item.lcpCandidate) tags.push('lcp-candidate');
+    tags.push(item.loading === 'lazy' ? 'lazy' : 'eager');
+    if (item.fetchPriority) tags.push(`fetchpriority-${item.fetchPriority}`);
+    if (item.decoding) tags.push(`decoding-${item.decoding}`);
+    tags.push(item.renditions.length > 0 ? 'srcset' : 'no-srcset');
+    return tags;
+  }
+
   isInNonRenderedElement(element) {
     // Check if element is inside non-rendered elements (noscript, template, etc.)
     let current = element.parentElement;
@@ -326,40 +1898,96 @@ class ContentParser {
     return false;
   }
 
+  /**
+   * Describe where on the page an element is, see usage-context.js for the fields
+   * @param {Element} element - Element the media was found on
+   * @param {string} type - How the media is referenced, e.g. 'img' or 'background'
+   * @returns {Object} Structured context without empty fields
+   */
   captureContext(element, type) {
-    const context = [type];
+    const context = {
+      type,
+      picture: !!element.closest('picture'),
+      block: this.findBlockName(element),
+      section: this.findSemanticParent(element),
+      container: this.findContainerClasses(element),
+      heading: this.findNearestHeading(element),
+      figcaption: this.getFigcaption(element),
+      linkHref: element.closest('a[href]')?.getAttribute('href'),
+      nearbyText: this.getNearbyText(element),
+    };
 
-    // Check if element is inside a picture element
-    const pictureElement = element.closest('picture');
-    if (pictureElement) {
-      context.push('picture');
+    // If no meaningful context found, try to get paragraph context
+    if (!context.section && !context.container && !context.nearbyText) {
+      context.paragraph = this.getParagraphContext(element);
     }
 
-    // Check for semantic HTML elements
-    const semanticParent = this.findSemanticParent(element);
-    if (semanticParent) {
-      context.push(`In: ${semanticParent}`);
-    }
+    Object.keys(context).forEach((field) => {
+      if (!context[field]) delete context[field];
+    });
+
+    return context;
+  }
 
-    const containerInfo = this.findContainerClasses(element);
-    if (containerInfo) {
-      context.push(`In: ${containerInfo}`);
+  /**
+   * Name of the block an element is in: data-block-name when the page is decorated,
+   * otherwise the class of the block div (main > section div > block div)
+   */
+  findBlockName(element) {
+    const namedBlock = element.closest('[data-block-name]');
+    if (namedBlock) {
+      return namedBlock.getAttribute('data-block-name');
     }
 
-    const nearbyText = this.getNearbyText(element);
-    if (nearbyText) {
-      context.push(`text: ${nearbyText}`);
+    let current = element.parentElement;
+    while (current) {
+      const section = current.parentElement;
+      if (current.tagName?.toLowerCase() === 'div'
+        && section?.parentElement?.tagName?.toLowerCase() === 'main') {
+        const blockClass = (current.getAttribute('class') || '').split(/\s+/)
+          .find((cls) => cls && cls !== 'block');
+        return blockClass || null;
+      }
+      current = section;
     }
 
-    // If no meaningful context found, try to get paragraph or section context
-    if (context.length === 1) {
-      const paragraphContext = this.getParagraphContext(element);
-      if (paragraphContext) {
-        context.push(`paragraph: ${paragraphContext}`);
+    return null;
+  }
+
+  /**
+   * Text of the closest heading before an element, looking at preceding siblings of
+   * the element and its ancestors
+   */
+  findNearestHeading(element) {
+    const headingSelector = 'h1, h2, h3, h4, h5, h6';
+    let current = element;
+    let depth = 0;
+
+    while (current?.parentElement && depth < 6) {
+      const siblings = Array.from(current.parentElement.children || []);
+      const precedingSiblings = siblings.slice(0, siblings.indexOf(current)).reverse();
+
+      for (const sibling of precedingSiblings) {
+        const heading = sibling.matches(headingSelector)
+          ? sibling
+          : [...sibling.querySelectorAll(headingSelector)].pop();
+        const text = heading?.textContent?.replace(/\s+/g, ' ').trim();
+        if (text) {
+          return text.length > 100 ? `${text.substring(0, 100)}...` : text;
+        }
       }
+
+      current = current.parentElement;
+      depth += 1;
     }
 
-    return context.join(' > ');
+    return null;
+  }
+
+  getFigcaption(element) {
+    const caption = element.closest('figure')?.querySelector('figcaption');
+    const text = caption?.textContent?.replace(/\s+/g, ' ').trim();
+    return text || null;
   }
 
   findContainerClasses(element) {
@@ -400,7 +2028,7 @@ class ContentParser {
 
     while (current && depth < 5) {
       const tagName = current.tagName?.toLowerCase();
-      if (['article', 'section', 'aside', 'header', 'footer', 'nav', 'main'].includes(tagName)) {
+      if (SEMANTIC_SECTIONS.includes(tagName)) {
         return tagName;
       }
       current = current.parentElement;
@@ -558,8 +2186,7 @@ class ContentParser {
   }
 
   testHtmlParsing(htmlString) {
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(htmlString, 'text/html');
+    const doc = this.parseDocument(htmlString);
 
     const images = doc.querySelectorAll('img');
 
@@ -0,0 +1,174 @@
+/**
+ * robots.txt parsing and matching following RFC 9309, plus the non-standard
+ * Crawl-delay directive
+ */
+
+export const DEFAULT_USER_AGENT = 'MediaLibrary';
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+const DISALLOW_ALL = { rules: [{ type: 'disallow', path: '/' }], crawlDelay: null };
+
+/**
+ * Parse robots.txt into user-agent groups and sitemap URLs
+ * @param {string} text - robots.txt contents
+ * @returns {{groups: Array, sitemaps: Array<string>}} Groups with userAgents, rules and crawlDelay
+ */
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let currentGroup = null;
+  let lastLineWasUserAgent = false;
+
+  (text || '').split(/\r\n|\r|\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex === -1) return;
+
+    const key = line.slice(0, separatorIndex).trim().toLowerCase();
+    const value = line.slice(separatorIndex + 1).trim();
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastLineWasUserAgent) {
+        currentGroup = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(currentGroup);
+      }
+      currentGroup.userAgents.push(value.toLowerCase());
+      lastLineWasUserAgent = true;
+      return;
+    }
+
+    lastLineWasUserAgent = false;
+    if (!currentGroup) return;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      currentGroup.rules.push({ type: key, path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (!Number.isNaN(delay) && delay >= 0) {
+        currentGroup.crawlDelay = delay;
+      }
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Select the rules that apply to a user agent. Groups naming the agent win over `*`,
+ * and multiple matching groups are combined.
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} userAgent - Product token of the crawler
+ * @returns {{rules: Array, crawlDelay: number|null}} Applicable rules and crawl delay in seconds
+ */
+export function getRobotsRules(robots, userAgent = DEFAULT_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+  const namedGroups = robots.groups.filter((group) => group.userAgents.includes(agent));
+  const matchingGroups = namedGroups.length > 0
+    ? namedGroups
+    : robots.groups.filter((group) => group.userAgents.includes('*'));
+
+  if (matchingGroups.length === 0) return ALLOW_ALL;
+
+  const delays = matchingGroups
+    .map((group) => group.crawlDelay)
+    .filter((delay) => delay !== null);
+
+  return {
+    rules: matchingGroups.flatMap((group) => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+  };
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Check whether a URL may be fetched. The longest matching rule wins and Allow wins ties.
+ * @param {Object} robotsRules - Result of getRobotsRules
+ * @param {string} url - Absolute URL or path with query
+ * @returns {boolean} True if the URL is allowed
+ */
+export function isAllowedByRobots(robotsRules, url) {
+  let path;
+  try {
+    const parsed = new URL(url, 'https://robots.invalid');
+    path = `${parsed.pathname}${parsed.search}`;
+  } catch (error) {
+    return true;
+  }
+
+  if (path === '/robots.txt') return true;
+
+  let bestMatch = null;
+  robotsRules.rules.forEach((rule) => {
+    if (!patternToRegExp(rule.path).test(path)) return;
+
+    const isLonger = !bestMatch || rule.path.length > bestMatch.path.length;
+    const isAllowTie = bestMatch && rule.path.length === bestMatch.path.length && rule.type === 'allow';
+    if (isLonger || isAllowTie) {
+      bestMatch = rule;
+    }
+  });
+
+  return !bestMatch || bestMatch.type === 'allow';
+}
+
+/**
+ * Check whether robots.txt should be ignored for a URL because the site is ours
+ * @param {string} url - Absolute URL
+ * @param {Array<string>} ownedHosts - Hostnames the operator owns
+ * @returns {boolean} True if the URL's host is listed
+ */
+export function isOwnedHost(url, ownedHosts = []) {
+  if (!ownedHosts || ownedHosts.length === 0) return false;
+
+  try {
+    const { hostname } = new URL(url);
+    return ownedHosts.some((host) => host.trim().toLowerCase() === hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Fetch and parse robots.txt for an origin. Per RFC 9309 a missing robots.txt (4xx)
+ * allows everything and a server error (5xx) disallows everything.
+ * @param {string} origin - Site origin, e.g. https://example.com
+ * @param {Object} options - Fetch options
+ * @param {string} options.corsProxy - CORS proxy URL, requests go direct when empty
+ * @param {string} options.userAgent - Product token used to pick the group
+ * @returns {Promise<Object>} Policy with rules, crawlDelay (seconds) and sitemaps
+ */
+export async function fetchRobotsPolicy(origin, options = {}) {
+  const { corsProxy = null, userAgent = DEFAULT_USER_AGENT } = options;
+  const robotsUrl = `${origin}/robots.txt`;
+  const fetchUrl = corsProxy ? `${corsProxy}?url=${encodeURIComponent(robotsUrl)}` : robotsUrl;
+
+  try {
+    const response = await fetch(fetchUrl);
+    if (response.status >= 500) {
+      return { ...DISALLOW_ALL, sitemaps: [], unavailable: true };
+    }
+    if (!response.ok) {
+      return { ...ALLOW_ALL, sitemaps: [] };
+    }
+
+    const robots = parseRobotsTxt(await response.text());
+    return { ...getRobotsRules(robots, userAgent), sitemaps: robots.sitemaps };
+  } catch (error) {
+    // Network or proxy failures say nothing about the site's rules
+    return { ...ALLOW_ALL, sitemaps: [] };
+  }
+}
@@ -0,0 +1,203 @@
+import ScanWorker from './scan-worker.js?worker&inline';
+
+/**
+ * Main-thread side of the scan worker. Mirrors the scanning API of ContentParser
+ * (scanPages, getScanReport, getDiscoveredPages, pause, resume) so MediaLibrary can use
+ * either one.
+ *
+ * Messages to the worker: scan, pages, pagesEnd, pause, resume, abort and index. Messages
+ * from the worker: progress (coalesced counts plus new progressive items and usage counts),
+ * result and error, each tagged with the id of the request they answer.
+ */
+class ScanWorkerClient {
+  constructor(config = {}) {
+    this.config = config;
+    this.worker = null;
+    this.requests = new Map();
+    this.nextRequestId = 1;
+    this.scanReport = null;
+    this.discoveredPages = [];
+    this.paused = false;
+  }
+
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new ScanWorker();
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        this.rejectAll(new Error(`Scan worker failed: ${event.message || 'unknown error'}`));
+        this.terminate();
+      });
+    }
+    return this.worker;
+  }
+
+  handleMessage(message) {
+    const request = this.requests.get(message.id);
+    if (!request) return;
+
+    if (message.type === 'progress') {
+      request.onProgress?.(message);
+      return;
+    }
+
+    this.requests.delete(message.id);
+    if (message.type === 'error') {
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      request.reject(error);
+    } else {
+      request.resolve(message);
+    }
+  }
+
+  rejectAll(error) {
+    this.requests.forEach((request) => request.reject(error));
+    this.requests.clear();
+  }
+
+  request(type, payload = {}, onProgress = null) {
+    const id = this.nextRequestId;
+    this.nextRequestId += 1;
+
+    const promise = new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, onProgress });
+    });
+    this.getWorker().postMessage({ type, id, ...payload });
+
+    return { id, promise };
+  }
+
+  /**
+   * Scan pages in the worker
+   * @param {Array|AsyncIterable} urls - Page objects, or an async iterable of them whose
+   *   pages are forwarded to the worker as they are discovered
+   * @param {Function} onProgress - Called with (completed, total, found, batch) where batch
+   *   holds the progressive newItems and usageCounts since the previous call, and with
+   *   checkpoint set, the completedPages and all their mediaItems
+   * @param {Object|null} previousMetadata - Metadata used to skip unchanged pages
+   * @param {Object} options - Scan options with an optional AbortSignal,
+   *   progressiveKeys, the [groupingKey, usageCount] entries of media already shown, and
+   *   checkpoint
+   * @returns {Promise<Array>} Media items of all scanned pages
+   */
+  async scanPages(urls, onProgress, previousMetadata = null, options = {}) {
+    const { signal = null, progressiveKeys = [], checkpoint = false } = options;
+    const isPageStream = !Array.isArray(urls);
+
+    if (signal?.aborted) {
+      throw new DOMException('Scan aborted', 'AbortError');
+    }
+
+    const { id, promise } = this.request('scan', {
+      pages: isPageStream ? null : urls,
+      isPageStream,
+      previousMetadata,
+      progressiveKeys,
+      checkpoint,
+      config: this.config,
+    }, ({
+      completed,
+      total,
+      found,
+      newItems,
+      usageCounts,
+      completedPages,
+      mediaItems,
+    }) => {
+      onProgress?.(completed, total, found, {
+        newItems,
+        usageCounts,
+        completedPages,
+        mediaItems,
+      });
+    });
+
+    let settled = false;
+    let streamError = null;
+    const handleAbort = () => this.worker?.postMessage({ type: 'abort', id });
+    signal?.addEventListener('abort', handleAbort, { once: true });
+
+    const forwardPages = async () => {
+      const iterator = urls[Symbol.asyncIterator]();
+      try {
+        while (!settled && !signal?.aborted) {
+          const { value, done } = await iterator.next();
+          if (done || settled) break;
+          this.worker?.postMessage({ type: 'pages', id, pages: [value] });
+        }
+      } finally {
+        this.worker?.postMessage({ type: 'pagesEnd', id });
+        iterator.return?.();
+      }
+    };
+
+    try {
+      if (isPageStream) {
+        // A failing page source fails the scan, as it does on the main thread
+        forwardPages().catch((error) => {
+          streamError = error;
+          this.worker?.postMessage({ type: 'abort', id });
+        });
+      }
+
+      const result = await promise;
+      this.scanReport = result.scanReport;
+      this.discoveredPages = result.discoveredPages;
+      return result.mediaItems;
+    } catch (error) {
+      throw streamError || error;
+    } finally {
+      settled = true;
+      signal?.removeEventListener('abort', handleAbort);
+    }
+  }
+
+  /**
+   * Build the filter and search index in the worker
+   * @param {Array} mediaData - Complete media data
+   * @param {boolean} refresh - Rebuild even when the worker has an index for data of the
+   *   same length and first and last URL, e.g. after items were updated in place
+   * @returns {Promise<Object>} Processed data, see processMediaData
+   */
+  async processMediaData(mediaData, refresh = false) {
+    const { promise } = this.request('index', { mediaData, refresh });
+    const { processedData } = await promise;
+    return processedData;
+  }
+
+  getScanReport() {
+    return this.scanReport;
+  }
+
+  getDiscoveredPages() {
+    return this.discoveredPages;
+  }
+
+  pause() {
+    this.paused = true;
+    this.worker?.postMessage({ type: 'pause' });
+  }
+
+  resume() {
+    this.paused = false;
+    this.worker?.postMessage({ type: 'resume' });
+  }
+
+  isPaused() {
+    return this.paused;
+  }
+
+  terminate() {
+    this.worker?.terminate();
+    this.worker = null;
+    this.rejectAll(new DOMException('Scan worker terminated', 'AbortError'));
+  }
+}
+
+export default ScanWorkerClient;
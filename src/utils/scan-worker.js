@@ -0,0 +1,207 @@
+/**
+ * Scan worker
+ * Runs the fetch → parse → extract → index pipeline off the main thread. Pages are parsed
+ * with the HTML tokenizer because workers have no DOMParser. Only batched progress,
+ * results and errors are posted back; see ScanWorkerClient for the message protocol.
+ */
+
+/* global globalThis */
+
+import ContentParser from './parser.js';
+import { processMediaData, updateProgressiveIndex, clearProcessedDataCache } from './filters.js';
+
+// Progress and progressive items are coalesced into one message per interval
+const BATCH_INTERVAL = 100;
+
+let activeScan = null;
+
+function post(message) {
+  globalThis.postMessage(message);
+}
+
+function postError(id, error) {
+  post({
+    type: 'error',
+    id,
+    error: { name: error.name, message: error.message },
+  });
+}
+
+/**
+ * Async iterable of pages fed by 'pages' messages, for page lists that are still being
+ * discovered on the main thread
+ * @returns {Object} Iterable with push(pages) and end()
+ */
+function createPageQueue() {
+  const pages = [];
+  let ended = false;
+  let wake = null;
+
+  const waitForPages = () => new Promise((resolve) => {
+    wake = resolve;
+  });
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  return {
+    push(newPages) {
+      pages.push(...newPages);
+      notify();
+    },
+    end() {
+      ended = true;
+      notify();
+    },
+    async* [Symbol.asyncIterator]() {
+      while (pages.length > 0 || !ended) {
+        if (pages.length === 0) {
+          await waitForPages();
+        } else {
+          yield pages.shift();
+        }
+      }
+    },
+  };
+}
+
+async function runScan(id, payload) {
+  const {
+    pages,
+    isPageStream,
+    previousMetadata,
+    progressiveKeys = [],
+    checkpoint = false,
+    config = {},
+  } = payload;
+
+  const parser = new ContentParser(config);
+  const abortController = new AbortController();
+  const pageQueue = isPageStream ? createPageQueue() : null;
+  const progressiveIndex = new Map(progressiveKeys);
+  activeScan = { id, parser, abortController, pageQueue };
+
+  let pending = null;
+  let flushTimer = null;
+
+  const flush = () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!pending) return;
+
+    post({
+      type: 'progress',
+      id,
+      ...pending,
+      usageCounts: [...pending.usageCounts],
+    });
+    pending = null;
+  };
+
+  const handleProgress = (completed, total, found) => {
+    if (!pending) {
+      pending = { completed, total, found: 0, newItems: [], usageCounts: new Map() };
+      if (checkpoint) {
+        pending.completedPages = [];
+        pending.mediaItems = [];
+      }
+    }
+    pending.completed = completed;
+    pending.total = total;
+    pending.found += found;
+
+    // Checkpoints need every item of every completed page, not only the new media
+    if (checkpoint && parser.getLatestPage()) {
+      pending.completedPages.push(parser.getLatestPage());
+      pending.mediaItems.push(...parser.getLatestMediaItems());
+    }
+
+    if (found > 0) {
+      const { newItems, usageCounts } = updateProgressiveIndex(
+        progressiveIndex,
+        parser.getLatestMediaItems(),
+      );
+      pending.newItems.push(...newItems);
+      usageCounts.forEach(([groupingKey, usageCount]) => {
+        pending.usageCounts.set(groupingKey, usageCount);
+      });
+    }
+
+    if (!flushTimer) {
+      flushTimer = setTimeout(flush, BATCH_INTERVAL);
+    }
+  };
+
+  try {
+    const mediaItems = await parser.scanPages(
+      pageQueue || pages,
+      handleProgress,
+      previousMetadata,
+      { signal: abortController.signal },
+    );
+    flush();
+
+    post({
+      type: 'result',
+      id,
+      mediaItems,
+      scanReport: parser.getScanReport(),
+      discoveredPages: parser.getDiscoveredPages(),
+    });
+  } catch (error) {
+    flush();
+    postError(id, error);
+  } finally {
+    activeScan = null;
+  }
+}
+
+async function runIndex(id, payload) {
+  try {
+    if (payload.refresh) {
+      clearProcessedDataCache();
+    }
+    const processedData = await processMediaData(payload.mediaData);
+    post({ type: 'result', id, processedData });
+  } catch (error) {
+    postError(id, error);
+  }
+}
+
+globalThis.addEventListener('message', (event) => {
+  const { type, id, ...payload } = event.data;
+
+  switch (type) {
+    case 'scan':
+      runScan(id, payload);
+      break;
+    case 'index':
+      runIndex(id, payload);
+      break;
+    case 'pages':
+      if (activeScan?.id === id) activeScan.pageQueue?.push(payload.pages);
+      break;
+    case 'pagesEnd':
+      if (activeScan?.id === id) activeScan.pageQueue?.end();
+      break;
+    case 'pause':
+      activeScan?.parser.pause();
+      break;
+    case 'resume':
+      activeScan?.parser.resume();
+      break;
+    case 'abort':
+      if (activeScan?.id === id) {
+        activeScan.abortController.abort();
+        // A scan waiting for streamed pages only notices the abort once the queue ends
+        activeScan.pageQueue?.end();
+      }
+      break;
+    default:
+      break;
+  }
+});
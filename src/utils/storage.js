@@ -1,9 +1,10 @@
 import logger from './logger.js';
+import { migrateMediaItems } from './usage-context.js';
 
 class BrowserStorage {
   constructor(type = 'indexeddb', siteKey = null) {
     this.type = type;
-    this.dbVersion = 11;
+    this.dbVersion = 12;
     this.siteKey = siteKey;
     this.dbName = siteKey ? `media_${this.normalizeSiteKey(siteKey)}` : 'MediaLibrary';
     this.db = null;
@@ -43,23 +44,34 @@ class BrowserStorage {
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
 
-        if (db.objectStoreNames.contains('processedData')) {
-          db.deleteObjectStore('processedData');
-        }
+        // Media stored before version 11 is rebuilt; later versions only add stores
+        if (event.oldVersion < 11 || !db.objectStoreNames.contains('media')) {
+          if (db.objectStoreNames.contains('processedData')) {
+            db.deleteObjectStore('processedData');
+          }
 
-        if (db.objectStoreNames.contains('media')) {
-          db.deleteObjectStore('media');
-        }
+          if (db.objectStoreNames.contains('media')) {
+            db.deleteObjectStore('media');
+          }
 
-        const mediaStore = db.createObjectStore('media', { keyPath: 'id', autoIncrement: true });
-        mediaStore.createIndex('hash', 'hash', { unique: false });
-        mediaStore.createIndex('url', 'url', { unique: false });
-        mediaStore.createIndex('doc', 'doc', { unique: false });
-        mediaStore.createIndex('name', 'name', { unique: false });
+          const mediaStore = db.createObjectStore('media', { keyPath: 'id', autoIncrement: true });
+          mediaStore.createIndex('hash', 'hash', { unique: false });
+          mediaStore.createIndex('url', 'url', { unique: false });
+          mediaStore.createIndex('doc', 'doc', { unique: false });
+          mediaStore.createIndex('name', 'name', { unique: false });
+        }
 
         if (!db.objectStoreNames.contains('last-modified-data')) {
           db.createObjectStore('last-modified-data', { keyPath: 'siteKey' });
         }
+
+        // Progress of an unfinished scan, and the media of the pages it completed
+        if (!db.objectStoreNames.contains('scan-checkpoint')) {
+          db.createObjectStore('scan-checkpoint', { keyPath: 'siteKey' });
+        }
+        if (!db.objectStoreNames.contains('scan-checkpoint-media')) {
+          db.createObjectStore('scan-checkpoint-media', { keyPath: 'id', autoIncrement: true });
+        }
       };
 
       request.onsuccess = (event) => {
@@ -143,8 +155,9 @@ class BrowserStorage {
   async load() {
     switch (this.type) {
       case 'indexeddb': {
+        // Items saved by earlier versions carry a ctx string instead of a context object
         const data = await this.loadRawDataBySite();
-        return data;
+        return migrateMediaItems(data);
       }
       case 'none':
         return [];
@@ -156,7 +169,7 @@ class BrowserStorage {
   async loadChunk(offset, limit) {
     switch (this.type) {
       case 'indexeddb':
-        return this.loadRawDataChunk(offset, limit);
+        return migrateMediaItems(await this.loadRawDataChunk(offset, limit));
       case 'none':
         return [];
       default:
@@ -167,7 +180,7 @@ class BrowserStorage {
   async loadUniqueMediaItems() {
     switch (this.type) {
       case 'indexeddb':
-        return this.loadUniqueMediaItemsFromIndexedDB();
+        return migrateMediaItems(await this.loadUniqueMediaItemsFromIndexedDB());
       case 'none':
         return [];
       default:
@@ -661,6 +674,169 @@ class BrowserStorage {
     }
   }
 
+  async saveScanCheckpoint(checkpoint, mediaItems = []) {
+    switch (this.type) {
+      case 'indexeddb':
+        return this.saveScanCheckpointToIndexedDB(checkpoint, mediaItems);
+      case 'none':
+        return Promise.resolve();
+      default:
+        throw new Error(`Unsupported storage type: ${this.type}`);
+    }
+  }
+
+  async loadScanCheckpoint(includeMedia = true) {
+    switch (this.type) {
+      case 'indexeddb':
+        return this.loadScanCheckpointFromIndexedDB(includeMedia);
+      case 'none':
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  async clearScanCheckpoint() {
+    switch (this.type) {
+      case 'indexeddb':
+        return this.clearScanCheckpointFromIndexedDB();
+      case 'none':
+        return Promise.resolve();
+      default:
+        throw new Error(`Unsupported storage type: ${this.type}`);
+    }
+  }
+
+  /**
+   * Write the checkpoint of a running scan and add the media of its newly completed pages
+   * @param {Object} checkpoint - Scan state, replacing the stored one
+   * @param {Array} mediaItems - Media items found since the previous checkpoint
+   * @returns {Promise<void>}
+   */
+  async saveScanCheckpointToIndexedDB(checkpoint, mediaItems) {
+    try {
+      const db = await this.ensureDatabase();
+
+      if (!db.objectStoreNames.contains('scan-checkpoint')) {
+        logger.warn('Scan checkpoint object store does not exist, cannot save checkpoint');
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['scan-checkpoint', 'scan-checkpoint-media'], 'readwrite');
+        const mediaStore = transaction.objectStore('scan-checkpoint-media');
+
+        transaction.oncomplete = () => {
+          // Close connection after successful save to prevent database locks
+          this.closeConnection();
+          resolve();
+        };
+        transaction.onerror = () => {
+          this.closeConnection();
+          reject(transaction.error);
+        };
+
+        transaction.objectStore('scan-checkpoint').put({
+          ...checkpoint,
+          siteKey: this.siteKey || 'default',
+          timestamp: Date.now(),
+        });
+        mediaItems.forEach((item) => {
+          const { id: _, ...rowData } = item;
+          mediaStore.add(rowData);
+        });
+      });
+    } catch (error) {
+      this.closeConnection();
+      logger.error('Failed to save scan checkpoint to IndexedDB:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the checkpoint of an unfinished scan
+   * @param {boolean} includeMedia - Also load the media of the completed pages
+   * @returns {Promise<Object|null>} Checkpoint with mediaItems when includeMedia is set, or
+   *   null when no scan is unfinished
+   */
+  async loadScanCheckpointFromIndexedDB(includeMedia) {
+    try {
+      const db = await this.ensureDatabase();
+
+      if (!db.objectStoreNames.contains('scan-checkpoint')) {
+        return null;
+      }
+
+      return new Promise((resolve) => {
+        const storeNames = includeMedia
+          ? ['scan-checkpoint', 'scan-checkpoint-media']
+          : ['scan-checkpoint'];
+        const transaction = db.transaction(storeNames, 'readonly');
+        const getRequest = transaction.objectStore('scan-checkpoint').get(this.siteKey || 'default');
+        const mediaRequest = includeMedia
+          ? transaction.objectStore('scan-checkpoint-media').getAll()
+          : null;
+
+        transaction.oncomplete = () => {
+          this.closeConnection();
+          const checkpoint = getRequest.result;
+          if (!checkpoint) {
+            resolve(null);
+            return;
+          }
+
+          const { timestamp: _, ...cleanCheckpoint } = checkpoint;
+          if (mediaRequest) {
+            cleanCheckpoint.mediaItems = (mediaRequest.result || []).map((item) => {
+              const { id: __, ...cleanItem } = item;
+              return cleanItem;
+            });
+          }
+          resolve(cleanCheckpoint);
+        };
+
+        transaction.onerror = () => {
+          logger.warn('Failed to get scan checkpoint from IndexedDB:', transaction.error);
+          this.closeConnection();
+          resolve(null);
+        };
+      });
+    } catch (error) {
+      logger.warn('Failed to load scan checkpoint from IndexedDB:', error);
+      return null;
+    }
+  }
+
+  async clearScanCheckpointFromIndexedDB() {
+    try {
+      const db = await this.ensureDatabase();
+
+      if (!db.objectStoreNames.contains('scan-checkpoint')) {
+        return Promise.resolve();
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['scan-checkpoint', 'scan-checkpoint-media'], 'readwrite');
+
+        transaction.oncomplete = () => {
+          this.closeConnection();
+          resolve();
+        };
+        transaction.onerror = () => {
+          this.closeConnection();
+          reject(transaction.error);
+        };
+
+        transaction.objectStore('scan-checkpoint').clear();
+        transaction.objectStore('scan-checkpoint-media').clear();
+      });
+    } catch (error) {
+      this.closeConnection();
+      logger.error('Failed to clear scan checkpoint from IndexedDB:', error);
+      throw error;
+    }
+  }
+
   async clearAllSites() {
     try {
       const sites = await this.getAllSites();
@@ -0,0 +1,109 @@
+/**
+ * Structured usage context of a media item: where on the page it was found. Replaces the
+ * ' > '-delimited ctx string of earlier versions, which is migrated on load.
+ *
+ * Fields, all optional except type:
+ * - type: how the media was referenced (img, background, meta, video, embed, audio, link)
+ * - picture: true when the element is inside a <picture>
+ * - block: block name, from data-block-name or the block's class
+ * - section: nearest semantic ancestor (article, section, aside, header, footer, nav, main)
+ * - container: meaningful container classes
+ * - heading: text of the nearest preceding heading
+ * - figcaption: caption of the enclosing <figure>
+ * - linkHref: href of the enclosing link
+ * - nearbyText: text next to the element
+ * - paragraph: excerpt of the enclosing paragraph, when nothing else was found
+ * - perf: loading and LCP tags of images
+ * - metaSource: tag the URL was declared in, for meta images
+ * - selector: CSS selector of stylesheet backgrounds
+ */
+
+export const SEMANTIC_SECTIONS = ['article', 'section', 'aside', 'header', 'footer', 'nav', 'main'];
+
+// Fields matched by plain text search, in display order
+export const SEARCHABLE_CONTEXT_FIELDS = [
+  'block', 'section', 'container', 'heading', 'figcaption', 'linkHref', 'nearbyText',
+  'paragraph', 'metaSource', 'selector',
+];
+
+/**
+ * Parse a legacy ctx string such as "img > picture > In: main > text: Hello > perf:lcp"
+ * @param {string} ctx - Legacy context string
+ * @returns {Object|null} Structured context, or null for an empty string
+ */
+export function migrateLegacyContext(ctx) {
+  if (!ctx || typeof ctx !== 'string') return null;
+
+  const [type, ...parts] = ctx.split(' > ');
+  const context = { type: type.trim() };
+
+  parts.forEach((rawPart) => {
+    const part = rawPart.trim();
+    if (part === 'picture') {
+      context.picture = true;
+    } else if (part.startsWith('In:')) {
+      const value = part.slice(3).trim();
+      if (SEMANTIC_SECTIONS.includes(value) && !context.section) {
+        context.section = value;
+      } else if (value && value !== 'undefined') {
+        context.container = value;
+      }
+    } else if (part.startsWith('text:')) {
+      context.nearbyText = part.slice(5).trim();
+    } else if (part.startsWith('paragraph:')) {
+      context.paragraph = part.slice(10).trim();
+    } else if (part.startsWith('perf:')) {
+      context.perf = part.slice(5).split(',').map((tag) => tag.trim()).filter(Boolean);
+    } else if (part.startsWith('selector:')) {
+      context.selector = part.slice(9).trim();
+    } else if (context.type === 'meta' && part) {
+      context.metaSource = part;
+    }
+  });
+
+  return context;
+}
+
+/**
+ * Get the structured context of a media item, migrating a legacy ctx string on the fly
+ * @param {Object} item - Media item
+ * @returns {Object|null} Structured context
+ */
+export function getUsageContext(item) {
+  if (!item) return null;
+  if (item.context && typeof item.context === 'object') return item.context;
+  return migrateLegacyContext(item.ctx);
+}
+
+/**
+ * Replace legacy ctx strings with structured context, in place
+ * @param {Array} mediaData - Media items, possibly stored by an earlier version
+ * @returns {Array} The same array
+ */
+export function migrateMediaItems(mediaData) {
+  (mediaData || []).forEach((item) => {
+    if (item && typeof item.ctx === 'string') {
+      if (!item.context) {
+        item.context = migrateLegacyContext(item.ctx);
+      }
+      delete item.ctx;
+    }
+  });
+  return mediaData;
+}
+
+/**
+ * Lowercased text of the searchable context fields, for text search and the search index
+ * @param {Object} item - Media item
+ * @returns {string} Space-separated field values, empty when there is no context
+ */
+export function getContextSearchText(item) {
+  const context = getUsageContext(item);
+  if (!context) return '';
+
+  return SEARCHABLE_CONTEXT_FIELDS
+    .map((field) => context[field])
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+}
@@ -1,7 +1,7 @@
 export const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'avif'];
 export const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mov', 'avi'];
 export const DOCUMENT_EXTENSIONS = ['pdf'];
-export const AUDIO_EXTENSIONS = ['mp3', 'wav'];
+export const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'aac', 'flac', 'm4a'];
 export const MEDIA_EXTENSIONS = [
   ...IMAGE_EXTENSIONS,
   ...VIDEO_EXTENSIONS,
@@ -43,7 +43,11 @@ export function detectMediaTypeFromExtension(ext) {
 export function getMediaType(media) {
   const type = media.type || '';
   if (type.startsWith('img >')) return 'image';
+  if (type.startsWith('background >')) return 'image';
+  if (type.startsWith('meta >')) return 'image';
   if (type.startsWith('video >')) return 'video';
+  if (type.startsWith('audio >')) return 'audio';
+  if (type.startsWith('audio-source >')) return 'audio';
   if (type.startsWith('document >')) return 'document';
   if (type.startsWith('link >')) return 'link';
 
@@ -68,8 +72,11 @@ export function getDisplayMediaType(media) {
         img: 'IMAGE',
         video: 'VIDEO',
         'video-source': 'VIDEO SOURCE',
+        audio: 'AUDIO',
+        'audio-source': 'AUDIO SOURCE',
         link: 'LINK',
         background: 'BACKGROUND',
+        meta: 'META',
       };
       const baseLabel = baseLabels[baseType] || baseType.toUpperCase();
       return `${baseLabel} (${subtype.toUpperCase()})`;
@@ -79,8 +86,11 @@ export function getDisplayMediaType(media) {
       img: 'IMAGE',
       video: 'VIDEO',
       'video-source': 'VIDEO SOURCE',
+      audio: 'AUDIO',
+      'audio-source': 'AUDIO SOURCE',
       link: 'LINK',
       background: 'BACKGROUND',
+      meta: 'META',
     };
     return typeLabels[media.type] || media.type.toUpperCase();
   }
@@ -90,6 +100,7 @@ export function getDisplayMediaType(media) {
   if (IMAGE_EXTENSIONS.includes(ext)) return 'IMAGE';
   if (ext === 'mp4') return 'VIDEO';
   if (ext === 'pdf') return 'DOCUMENT';
+  if (AUDIO_EXTENSIONS.includes(ext)) return 'AUDIO';
   return 'UNKNOWN';
 }
 
@@ -118,32 +129,132 @@ export function sortMediaData(mediaData) {
   });
 }
 
+/**
+ * Sort media largest file first; media without a measured size goes last
+ * @param {Array} mediaData - Media items with fileSize from the size pass
+ * @returns {Array} Sorted copy
+ */
+export function sortMediaBySize(mediaData) {
+  return [...mediaData].sort((a, b) => (b.fileSize ?? -1) - (a.fileSize ?? -1));
+}
+
+/**
+ * Sort media by the bytes a WebP re-encode would save, largest saving first; media
+ * without an estimate goes last
+ * @param {Array} mediaData - Media items with formatAudit from the format audit
+ * @returns {Array} Sorted copy
+ */
+export function sortMediaBySavings(mediaData) {
+  const getSavings = (item) => item.formatAudit?.potentialSavings ?? -1;
+  return [...mediaData].sort((a, b) => getSavings(b) - getSavings(a));
+}
+
+// Raster formats that a modern format encodes noticeably smaller
+export const LEGACY_IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'bmp', 'tiff'];
+export const MODERN_IMAGE_FORMATS = ['webp', 'avif', 'jxl'];
+
+const IMAGE_FORMAT_ALIASES = {
+  jpg: 'jpeg',
+  pjpeg: 'jpeg',
+  tif: 'tiff',
+  'svg+xml': 'svg',
+  icon: 'ico',
+  'vnd.microsoft.icon': 'ico',
+};
+
+/**
+ * Image format named by a content type, such as "jpeg" for "image/jpeg; charset=binary"
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|null} Format, or null for content types that are not images
+ */
+export function getFormatFromContentType(contentType) {
+  const match = /^image\/(?:x-)?([a-z0-9.+-]+)/i.exec((contentType || '').trim());
+  if (!match) return null;
+
+  const subtype = match[1].toLowerCase();
+  return IMAGE_FORMAT_ALIASES[subtype] || subtype;
+}
+
+/**
+ * Image format of a file extension, such as "jpeg" for "jpg"
+ * @param {string} ext - Lowercase file extension
+ * @returns {string|null} Format, or null without an extension
+ */
+export function getFormatFromExtension(ext) {
+  if (!ext) return null;
+  return IMAGE_FORMAT_ALIASES[ext] || ext;
+}
+
+const EXTERNAL_VIDEO_PROVIDERS = [
+  {
+    provider: 'youtube',
+    patterns: [
+      /(?:youtube(?:-nocookie)?\.com\/(?:embed|v|shorts|live)\/)([\w-]{6,})/,
+      /youtube\.com\/watch\?(?:.*&)?v=([\w-]{6,})/,
+      /youtu\.be\/([\w-]{6,})/,
+    ],
+    canonicalUrl: (id) => `https://youtu.be/${id}`,
+  },
+  {
+    provider: 'vimeo',
+    patterns: [
+      /player\.vimeo\.com\/video\/(\d+)/,
+      /vimeo\.com\/(?:channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/,
+    ],
+    canonicalUrl: (id) => `https://vimeo.com/${id}`,
+  },
+  {
+    provider: 'wistia',
+    patterns: [
+      /wistia\.(?:net|com)\/embed\/(?:iframe|medias)\/([a-z0-9]+)/i,
+      /wistia\.com\/medias\/([a-z0-9]+)/i,
+    ],
+    canonicalUrl: (id) => `https://fast.wistia.com/embed/medias/${id}`,
+  },
+];
+
+/**
+ * Normalize a YouTube, Vimeo or Wistia URL to its provider and video ID
+ * @param {string} url - Embed, watch or share URL
+ * @returns {Object|null} Provider, video ID and canonical URL, or null for other URLs
+ */
+export function parseExternalVideoUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+
+  for (const { provider, patterns, canonicalUrl } of EXTERNAL_VIDEO_PROVIDERS) {
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) {
+        return { provider, id: match[1], canonicalUrl: canonicalUrl(match[1]) };
+      }
+    }
+  }
+
+  return null;
+}
+
+export function getExternalVideoUrl(provider, id) {
+  const config = EXTERNAL_VIDEO_PROVIDERS.find((entry) => entry.provider === provider);
+  return config && id ? config.canonicalUrl(id) : null;
+}
+
 export function getVideoThumbnail(videoUrl) {
-  if (!videoUrl) return null;
+  const video = parseExternalVideoUrl(videoUrl);
+  if (!video) return null;
 
-  const youtubeMatch = videoUrl.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&\n?#]+)/);
-  if (youtubeMatch) {
-    return `https://img.youtube.com/vi/${youtubeMatch[1]}/maxresdefault.jpg`;
+  if (video.provider === 'youtube') {
+    return `https://img.youtube.com/vi/${video.id}/maxresdefault.jpg`;
   }
 
-  const vimeoMatch = videoUrl.match(/vimeo\.com\/(\d+)/);
-  if (vimeoMatch) {
-    const videoId = vimeoMatch[1];
-    return `https://i.vimeocdn.com/video/${videoId}_640.jpg`;
+  if (video.provider === 'vimeo') {
+    return `https://i.vimeocdn.com/video/${video.id}_640.jpg`;
   }
 
   return null;
 }
 
 export function isExternalVideoUrl(url) {
-  if (!url) return false;
-
-  const supportedPatterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/)/,
-    /vimeo\.com\/(\d+)/,
-  ];
-
-  return supportedPatterns.some((pattern) => pattern.test(url));
+  return parseExternalVideoUrl(url) !== null;
 }
 
 export function createHash(str) {
@@ -376,6 +487,11 @@ export function isVideo(url) {
   return ['mp4', 'webm', 'mov', 'avi'].includes(ext);
 }
 
+export function isAudio(url) {
+  const ext = extractFileExtension(url);
+  return AUDIO_EXTENSIONS.includes(ext);
+}
+
 export function isPdf(url) {
   const ext = extractFileExtension(url);
   return ext === 'pdf';
@@ -74,6 +74,13 @@ export default defineConfig(({ mode }) => {
       ],
       exclude: isSelfContained ? [] : ['lit'],
     },
+    worker: {
+      // The scan worker is inlined into the single-file builds, so it must be one chunk
+      format: 'iife',
+      rollupOptions: {
+        output: { inlineDynamicImports: true },
+      },
+    },
     json: {
       namedExports: false,
       stringify: false,
@@ -1,5 +1,7 @@
 // workers/cors-proxy/worker.js
 
+const DEFAULT_MAX_REDIRECTS = 10;
+
 // eslint-disable-next-line no-use-before-define
 async function handleRequest(request) {
   const url = new URL(request.url);
@@ -27,17 +29,58 @@ async function handleRequest(request) {
       forwardHeaders.set(key, value);
     });
 
-    const response = await fetch(targetUrl, {
-      method: request.method,
+    // 0 is a valid limit: the caller wants no redirects followed
+    const requestedMaxRedirects = parseInt(url.searchParams.get('maxRedirects'), 10);
+    const maxRedirects = Number.isNaN(requestedMaxRedirects)
+      ? DEFAULT_MAX_REDIRECTS
+      : requestedMaxRedirects;
+
+    // Follow redirects manually so the final URL and redirect count can be reported
+    let currentUrl = targetUrl;
+    let redirectCount = 0;
+    let { method } = request;
+    let response = await fetch(currentUrl, {
+      method,
       headers: forwardHeaders,
-      redirect: 'follow',
+      redirect: 'manual',
     });
 
+    while (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+      if (redirectCount >= maxRedirects) {
+        return new Response('Too many redirects', {
+          status: 508,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Expose-Headers': 'X-Redirect-Limit-Exceeded',
+            'X-Redirect-Limit-Exceeded': 'true',
+          },
+        });
+      }
+
+      currentUrl = new URL(response.headers.get('location'), currentUrl).href;
+      redirectCount += 1;
+      // As browsers do: 303 turns any request but HEAD into a GET, 301 and 302 only a POST
+      if ((response.status === 303 && method !== 'HEAD')
+        || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+        method = 'GET';
+        forwardHeaders.delete('content-type');
+        forwardHeaders.delete('content-length');
+      }
+      response = await fetch(currentUrl, {
+        method,
+        headers: forwardHeaders,
+        redirect: 'manual',
+      });
+    }
+
     // Create new headers with CORS support
     const headers = new Headers(response.headers);
     headers.set('Access-Control-Allow-Origin', '*');
     headers.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     headers.set('Access-Control-Allow-Headers', '*');
+    headers.set('Access-Control-Expose-Headers', 'X-Final-Url, X-Redirect-Count, Content-Length, Content-Type');
+    headers.set('X-Final-Url', currentUrl);
+    headers.set('X-Redirect-Count', String(redirectCount));
 
     // Return the response with CORS headers
     return new Response(response.body, {